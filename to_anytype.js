@@ -2,8 +2,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { createWriteStream } = require('fs');
 const archiver = require('archiver');
+const YAML = require('yaml');
+const LZString = require('lz-string');
 
 /**
  * Converts Obsidian notes to Anytype-compatible markdown files
@@ -15,552 +18,3265 @@ const archiver = require('archiver');
 // Configuration
 const DEFAULT_VAULT_PATH = './vault';
 const DEFAULT_OUTPUT_PATH = './anytype_export.zip';
+const DEFAULT_OUTPUT_DIR = './anytype_export';  // --format dir
 
-// Get command line arguments
-const args = process.argv.slice(2);
-const vaultPath = args[0] || DEFAULT_VAULT_PATH;
-const outputPath = args[1] || DEFAULT_OUTPUT_PATH;
+// Folders and notes read at the same time (--concurrency); higher helps on network drives
+const DEFAULT_CONCURRENCY = 16;
 
-// Track Sets for hierarchy
-const sets = new Map(); // path -> set info
+// --watch: quiet time after the last change before the vault is exported again
+const WATCH_DEBOUNCE_MS = 1000;
+
+// Relation added to notes connected by an edge on a canvas (.canvas), listing the notes they point to
+const CANVAS_RELATION = 'connectedTo';
+
+// Project settings, overridable in .obsidian2anytype.json / .yaml (see CONFIG_SCHEMA)
+// Folder and file name patterns are matched case-insensitively and may use * and ?
+const DEFAULT_PROJECT_SETTINGS = {
+  // Folders that are never exported (matched against every folder in a path)
+  excludedFolders: ['.obsidian', '.trash', '.git'],
+  // Attachment folders: not listed as Sets, searched for attachments of any note
+  attachmentFolders: ['attachments', 'attachment', 'attachments_*'],
+  // Files and folders treated as deleted
+  trashPatterns: ['deleted', 'trash', 'deleted_*', 'trash_*', '*_deleted', '*_trash'],
+  // Name of the Set that contains all root folders
+  rootSetName: 'vault',
+  // How note embeds (![[Other Note]]) are exported:
+  // 'inline' - the embedded note, section or block is copied into the page
+  // 'link'   - a labelled link to the embedded note is added instead
+  noteEmbeds: 'inline',
+  // Maximum nesting of inlined note embeds (deeper embeds become links)
+  maxEmbedDepth: 5,
+  // How a `type` already set in a note's frontmatter is handled:
+  // 'map'       - kept as the Anytype object type, translated through typeMapping
+  // 'overwrite' - replaced by Page/SetLeaf like notes without a type
+  typeMode: 'map',
+  // Obsidian type name -> Anytype object type (keys are matched case-insensitively)
+  // Types not listed here are kept as written, e.g. { person: 'Human', meeting: 'Meeting' }
+  typeMapping: {},
+  // Relation format per frontmatter property, overriding .obsidian/types.json
+  // Formats: 'text', 'number', 'date', 'datetime', 'checkbox', 'multi-select', 'object'
+  // e.g. { attendees: 'object', rating: 'number' }
+  propertyTypes: {},
+  // Colored tag badges added under the title of pages with tags
+  tagBadges: {
+    enabled: true,
+    textColor: 'white',
+    colors: {},  // tag -> background color; other tags get a color derived from their name
+    style: 'padding: 2px 8px; border-radius: 4px; font-weight: bold; display: inline-block; margin: 2px;'
+  },
+  // Icon shown before the title of callouts (> [!type] Title), by callout type
+  // Types not listed here get the icon of 'note'
+  calloutIcons: {
+    note: '📝',
+    abstract: '📋', summary: '📋', tldr: '📋',
+    info: 'ℹ️',
+    todo: '☑️',
+    tip: '💡', hint: '💡', important: '💡',
+    success: '✅', check: '✅', done: '✅',
+    question: '❓', help: '❓', faq: '❓',
+    warning: '⚠️', caution: '⚠️', attention: '⚠️',
+    failure: '❌', fail: '❌', missing: '❌',
+    danger: '⚡', error: '⚡',
+    bug: '🐛',
+    example: '🧪',
+    quote: '💬', cite: '💬'
+  },
+  // How Obsidian-only markdown is exported (code blocks and inline code are left alone)
+  syntax: {
+    highlights: 'bold',     // ==text==: 'bold', 'html' (<mark>), 'strip' (plain text) or 'keep'
+    comments: 'strip',      // %%comment%%: 'strip', 'html' (<!-- -->) or 'keep'
+    math: 'code',           // $inline$ and $$block$$: 'code' (inline code, latex code block) or 'keep'
+    footnotes: 'footnote',  // ^[inline footnote]: 'footnote' ([^1] with the text at the end), 'inline' ((text)), 'strip' or 'keep'
+    tasks: 'convert'        // - [/], - [-], ...: 'convert' (checkbox plus icon, cancelled crossed out) or 'keep'
+  }
+};
+
+// Icons for custom task statuses (- [/] task) when syntax.tasks is 'convert'
+// Other statuses become plain unchecked tasks; cancelled tasks (- [-]) are checked and crossed out
+const TASK_STATUS_ICONS = {
+  '/': '🔄',  // in progress
+  '>': '➡️',  // forwarded
+  '<': '📅',  // scheduled
+  '!': '❗',  // important
+  '?': '❓',  // question
+  '*': '⭐',  // star
+  'i': 'ℹ️',  // information
+  'I': '💡'   // idea
+};
+
+// Exit codes (documented in README and --help)
+const EXIT_CODES = {
+  SUCCESS: 0,          // Export written, every file converted
+  ERROR: 1,            // Unexpected error (e.g. the zip could not be written)
+  USAGE: 2,            // Invalid command-line arguments or config file
+  VAULT_MISSING: 3,    // Vault path does not exist or is not a directory
+  PARTIAL_FAILURE: 4,  // Export written, but some files could not be converted
+  BROKEN_LINKS: 5      // --strict: links or embeds without a target, nothing written
+};
+
+// Log level: 'debug' (--verbose), 'info' (default) or 'warn' (--quiet)
+// ('silent' hides everything, for use as a library)
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+
+/**
+ * Project settings for a run: DEFAULT_PROJECT_SETTINGS overridden by the given ones
+ * (tagBadges, calloutIcons and syntax are merged key by key)
+ */
+function mergeProjectSettings(settings) {
+  const merged = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_PROJECT_SETTINGS)) {
+    if (settings[key] === undefined) {
+      merged[key] = defaultValue;
+    } else if (key === 'tagBadges' || key === 'calloutIcons' || key === 'syntax') {
+      merged[key] = { ...defaultValue, ...settings[key] };
+    } else {
+      merged[key] = settings[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Create the state of one conversion run
+ * Everything a conversion reads or collects lives here, so runs don't share state
+ * @param {object} [settings] - { vault, output, format, sink, maxZipSize, incremental, stateFile, concurrency, dryRun,
+ *   strict, include, exclude, logLevel } and project settings
+ * @returns {object} Run context
+ */
+function createRunContext(settings = {}) {
+  return {
+    // Options
+    vaultPath: settings.vault || DEFAULT_VAULT_PATH,
+    outputPath: settings.output || DEFAULT_OUTPUT_PATH,
+    format: settings.format || 'zip',
+    sink: settings.sink || null,
+    dryRun: Boolean(settings.dryRun),
+    strict: Boolean(settings.strict),
+    maxZipSize: settings.maxZipSize ? parseSize(settings.maxZipSize) : null,
+    // At least one read at a time (0.5 or -1 from the API would start no reads at all)
+    concurrency: Math.max(1, Math.floor(Number(settings.concurrency))) || DEFAULT_CONCURRENCY,
+    // State file of incremental exports (null for a full export)
+    statePath: settings.stateFile || (settings.incremental ? getStatePath(settings.output || DEFAULT_OUTPUT_PATH) : null),
+    includePatterns: [].concat(settings.include || []),
+    excludePatterns: [].concat(settings.exclude || []),
+    logLevel: settings.logLevel || 'info',
+    settings: mergeProjectSettings(settings),
+    
+    // Set info per folder (path -> set info)
+    sets: new Map(),
+    // Index of all notes and attachments in the vault (built once per export)
+    vaultIndex: null,
+    // Folder listings, note contents and file stats read ahead by prefetchVault
+    // (normalized path -> entries / text / fs.Stats, or the Error for files that can't be read)
+    dirEntries: new Map(),
+    noteContents: new Map(),
+    fileStats: new Map(),
+    // Root folders without markdown files, which get an empty page ({ name, emptyFilePath })
+    foldersNeedingEmptyFiles: [],
+    // Note whose links are being converted ({ path, lineOffset, element }), null inside embedded content
+    // (element names the canvas card or drawing element for files whose links aren't on note lines)
+    linkSource: null,
+    // Edges between notes on canvases (normalized note path -> zip paths of the notes it points to)
+    canvasRelations: new Map(),
+    
+    // Results
+    pages: [],          // { source, path, type } per page written (source is null for generated pages)
+    attachments: [],    // { source, path } per attachment copied
+    skipped: new Map(), // path -> reason, for files and folders left out
+    brokenLinks: [],    // { source, line, element, type, link, target } per link or embed without a target
+    volumes: null,      // Zip volumes written with maxZipSize (file names), and their manifest
+    manifest: null,
+    changes: null,      // { added, changed, unchanged, removed } export paths of an incremental export
+    warnings: [],       // warning messages
+    failures: []        // { path, error } per file that could not be converted
+  };
+}
+
+// Context of the running conversion (replaced by each call to convert)
+let run = createRunContext();
+
+// Conversions run one at a time; each waits for the previous one to finish
+let conversionQueue = Promise.resolve();
 
 // No longer using allUniqueTags - tags are added directly as colorized tag property
 
 /**
- * Convert Obsidian wiki-style links [[Note Name]] to markdown links
- * Also handles aliases: [[Note Name|Display Text]]
+ * Log detailed progress (per link, per tag) - shown with --verbose
+ */
+function logDebug(...args) {
+  if (LOG_LEVELS[run.logLevel] <= LOG_LEVELS.debug) {
+    console.log(...args);
+  }
+}
+
+/**
+ * Log normal progress - hidden with --quiet
+ */
+function logInfo(...args) {
+  if (LOG_LEVELS[run.logLevel] <= LOG_LEVELS.info) {
+    console.log(...args);
+  }
+}
+
+/**
+ * Log a warning (to stderr)
+ */
+function logWarn(...args) {
+  if (LOG_LEVELS[run.logLevel] <= LOG_LEVELS.warn) {
+    console.warn(...args);
+  }
+}
+
+/**
+ * Log an error (to stderr) - hidden only with log level 'silent'
+ */
+function logError(...args) {
+  if (LOG_LEVELS[run.logLevel] <= LOG_LEVELS.error) {
+    console.error(...args);
+  }
+}
+
+/**
+ * Log a warning and add it to the warnings of the run
+ * @param {string} message - Warning without the ⚠️ prefix
+ * @param {string} [indent] - Indentation of the log line
+ */
+function recordWarning(message, indent = '    ') {
+  run.warnings.push(message);
+  logWarn(`${indent}⚠️  ${message}`);
+}
+
+/**
+ * Record a file that could not be converted (reported at the end, exit code PARTIAL_FAILURE)
+ */
+function recordFailure(filePath, err) {
+  run.failures.push({ path: filePath, error: err.message });
+  logError(`❌ Failed to convert ${filePath}: ${err.message}`);
+}
+
+/**
+ * Record a link or embed whose target doesn't exist (reported at the end, fails the export with --strict)
+ * Links inside embedded content are reported for the note they are written in, not here
+ * @param {string} type - 'wiki link', 'markdown link', 'attachment link', 'image', 'embed', 'note embed' or 'canvas card'
+ * @param {string} link - The link as written in the note
+ * @param {string} target - The note, file or section that wasn't found
+ * @param {string} text - Text the link was found in (the note body, as converted so far)
+ * @param {number} offset - Position of the link in text
+ */
+function recordBrokenLink(type, link, target, text, offset) {
+  if (!run.linkSource) {
+    return;
+  }
+  // Canvas cards and drawing elements are named instead: their text isn't on the lines of the file
+  const element = run.linkSource.element || null;
+  const line = element ? null : run.linkSource.lineOffset + text.substring(0, offset).split('\n').length;
+  const brokenLink = { source: run.linkSource.path, line, element, type, link, target };
+  run.brokenLinks.push(brokenLink);
+  logDebug(`    🔗 Broken ${type} in ${describeLinkLocation(brokenLink)}: ${link}`);
+}
+
+/**
+ * Where a broken link is: "Note.md:12", or "Map.canvas (card abc)" for canvas cards and drawing elements
+ */
+function describeLinkLocation(brokenLink) {
+  const sourcePath = path.relative(run.vaultPath, brokenLink.source).replace(/\\/g, '/');
+  return brokenLink.element ? `${sourcePath} (${brokenLink.element})` : `${sourcePath}:${brokenLink.line}`;
+}
+
+// Compiled glob patterns (they don't depend on the run, so all runs share them)
+const globCache = new Map();
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports ** (any number of folders), * (anything but /), ? (one character) and {a,b}
+ * Patterns without a / match at any depth (*.pdf, Archive)
+ */
+function globToRegExp(pattern) {
+  if (!globCache.has(pattern)) {
+    globCache.set(pattern, compileGlob(pattern));
+  }
+  return globCache.get(pattern);
+}
+
+/**
+ * Compile a glob pattern (see globToRegExp)
  */
-function convertObsidianLinks(content, baseDir) {
-  // Match Obsidian wiki links: [[Note Name]] or [[Note Name|Alias]]
-  const wikiLinkRegex = /\[\[([^\]]+)\]\]/g;
+function compileGlob(pattern) {
+  let glob = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+  if (!glob.includes('/')) {
+    glob = '**/' + glob;
+  }
   
-  return content.replace(wikiLinkRegex, (match, linkContent) => {
-    const parts = linkContent.split('|');
-    const noteName = parts[0].trim();
-    const displayText = parts[1] ? parts[1].trim() : noteName;
-    
-    // Try to find the actual file
-    const possiblePaths = [
-      path.join(baseDir, noteName + '.md'),
-      path.join(baseDir, noteName + '.md'),
-      path.join(baseDir, noteName.replace(/\s+/g, ' ') + '.md'),
-    ];
-    
-    // Also check subdirectories
-    const findFile = (dir, fileName) => {
-      try {
-        const files = fs.readdirSync(dir, { withFileTypes: true });
-        for (const file of files) {
-          const fullPath = path.join(dir, file.name);
-          if (file.isDirectory()) {
-            const found = findFile(fullPath, fileName);
-            if (found) return found;
-          } else if (file.name.toLowerCase() === fileName.toLowerCase() + '.md') {
-            return fullPath;
-          }
-        }
-      } catch (err) {
-        // Directory doesn't exist or can't be read
+  let regex = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
       }
-      return null;
-    };
-    
-    // Try to find the file
-    let foundPath = null;
-    for (const possiblePath of possiblePaths) {
-      if (fs.existsSync(possiblePath)) {
-        foundPath = possiblePath;
-        break;
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end > i) {
+        const alternatives = glob.substring(i + 1, end).split(',')
+          .map(alt => alt.replace(/[.+^$()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]'));
+        regex += `(?:${alternatives.join('|')})`;
+        i = end;
+      } else {
+        regex += '\\{';
       }
-    }
-    
-    if (!foundPath) {
-      foundPath = findFile(vaultPath, noteName);
-    }
-    
-    if (foundPath) {
-      // Calculate relative path from vault root
-      const relativePath = path.relative(vaultPath, foundPath);
-      const linkPath = relativePath.replace(/\\/g, '/');
-      return `[${displayText}](${linkPath})`;
     } else {
-      // File not found, create a link anyway (Anytype will handle broken links)
-      const safeName = noteName.replace(/\s+/g, ' ') + '.md';
-      return `[${displayText}](${safeName})`;
+      regex += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
     }
-  });
+  }
+  
+  return new RegExp(`^${regex}$`);
 }
 
 /**
- * Recursively search for a file in a directory and its subdirectories
- * @param {string} searchDir - Directory to search in
- * @param {string} fileName - Name of the file to find
- * @param {number} maxDepth - Maximum depth to search (default: 10)
- * @param {number} currentDepth - Current depth (internal use)
- * @returns {string|null} Full path to the file if found, null otherwise
+ * Check if a vault-relative path (or one of its parent folders) matches any of the glob patterns
  */
-function findFileRecursively(searchDir, fileName, maxDepth = 10, currentDepth = 0) {
-  if (currentDepth >= maxDepth) {
+function matchesAnyPattern(relativePath, patterns) {
+  return findMatchingPattern(relativePath, patterns) !== null;
+}
+
+/**
+ * Find the first pattern matching a vault-relative path or one of its parent folders
+ * @returns {string|null} The matching pattern
+ */
+function findMatchingPattern(relativePath, patterns) {
+  const parts = relativePath.replace(/\\/g, '/').split('/');
+  for (const pattern of patterns) {
+    const regex = globToRegExp(pattern);
+    for (let i = parts.length; i > 0; i--) {
+      if (regex.test(parts.slice(0, i).join('/'))) {
+        return pattern;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a file or folder name matches one of the name patterns (case-insensitive)
+ * Used for the excludedFolders, attachmentFolders and trashPatterns settings
+ */
+function matchesNamePattern(name, patterns) {
+  return findNamePattern(name, patterns) !== undefined;
+}
+
+/**
+ * Find the first name pattern matching a file or folder name (case-insensitive)
+ * @returns {string|undefined} The matching pattern
+ */
+function findNamePattern(name, patterns) {
+  const lowerName = name.toLowerCase();
+  return patterns.find(pattern => globToRegExp(pattern.toLowerCase()).test(lowerName));
+}
+
+/**
+ * Check if a file or folder is excluded by --exclude patterns or is inside an excluded folder
+ */
+function isExcludedByPattern(fullPath) {
+  return getExcludedReason(fullPath) !== null;
+}
+
+/**
+ * Why a file or folder is excluded by --exclude patterns or the excludedFolders setting
+ * @returns {string|null} Reason, or null if it isn't excluded
+ */
+function getExcludedReason(fullPath) {
+  const relativePath = path.relative(path.resolve(run.vaultPath), path.resolve(fullPath));
+  if (relativePath.startsWith('..') || relativePath === '') {
     return null;
   }
+  const excludedFolder = relativePath.split(path.sep).find(part => matchesNamePattern(part, run.settings.excludedFolders));
+  if (excludedFolder !== undefined) {
+    return `excluded folder "${excludedFolder}"`;
+  }
+  const pattern = findMatchingPattern(relativePath, run.excludePatterns);
+  return pattern !== null ? `matches exclude pattern "${pattern}"` : null;
+}
+
+/**
+ * Check if a file passes the --include patterns (all files pass when there are none)
+ */
+function isIncludedByPattern(fullPath) {
+  if (run.includePatterns.length === 0) {
+    return true;
+  }
+  const relativePath = path.relative(path.resolve(run.vaultPath), path.resolve(fullPath));
+  return relativePath.startsWith('..') || matchesAnyPattern(relativePath, run.includePatterns);
+}
+
+/**
+ * Convert a vault-relative path to the key used in the vault index
+ * (forward slashes, lowercase - Obsidian matches links case-insensitively)
+ */
+function toIndexKey(relativePath) {
+  return relativePath.replace(/\\/g, '/').toLowerCase();
+}
+
+/**
+ * Read the aliases declared in a note's frontmatter (aliases: or alias:, list or single value)
+ * @param {string} content - Note content
+ * @returns {Array<string>} Aliases (may be empty)
+ */
+function parseFrontmatterAliases(content) {
+  const data = parseFrontmatter(content).data;
+  const value = data.aliases !== undefined ? data.aliases : data.alias;
+  if (value === null || value === undefined) {
+    return [];
+  }
+  
+  const aliases = Array.isArray(value) ? value : [value];
+  return aliases
+    .filter(alias => alias !== null && alias !== undefined)
+    .map(alias => String(alias).trim())
+    .filter(alias => alias.length > 0);
+}
+
+/**
+ * Read Obsidian's property type registry (.obsidian/types.json)
+ * @param {string} rootPath - Vault root
+ * @returns {object} Property name -> Obsidian type (text, number, date, datetime, checkbox, multitext, tags, aliases)
+ */
+function readObsidianPropertyTypes(rootPath) {
+  const typesPath = path.join(rootPath, '.obsidian', 'types.json');
   
   try {
-    if (!fs.existsSync(searchDir)) {
-      return null;
-    }
-    
-    const entries = fs.readdirSync(searchDir, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const fullPath = path.join(searchDir, entry.name);
-      
-      // Skip hidden files and deleted items
-      if (entry.name.startsWith('.') && entry.name !== '.') {
-        continue;
-      }
-      
-      if (isDeleted(fullPath, entry.name)) {
-        continue;
-      }
-      
-      if (entry.isFile()) {
-        // Check if filename matches (case-insensitive)
-        if (entry.name.toLowerCase() === fileName.toLowerCase()) {
-          return fullPath;
-        }
-      } else if (entry.isDirectory()) {
-        // Recursively search subdirectories
-        const found = findFileRecursively(fullPath, fileName, maxDepth, currentDepth + 1);
-        if (found) {
-          return found;
-        }
+    if (fs.existsSync(typesPath)) {
+      const registry = JSON.parse(fs.readFileSync(typesPath, 'utf-8'));
+      if (registry && typeof registry.types === 'object' && registry.types !== null) {
+        return registry.types;
       }
     }
   } catch (err) {
-    // Directory doesn't exist or can't be read
+    recordWarning(`Could not read ${typesPath}: ${err.message}`, '');
   }
   
-  return null;
+  return {};
 }
 
 /**
- * Convert Obsidian image/embed syntax to standard markdown
- * Handles: ![[image.png]] and ![alt](path)
- * Sanitizes paths to match zip file paths (spaces -> underscores)
- * Paths are relative to vault root to match zip structure
- * Searches recursively in attachments folders and subfolders
- * @param {string} content - Markdown content
- * @param {string} fileDir - Full path to the directory containing the markdown file
- * @param {string} fileRelativeDir - Relative path from vault root to the directory (for zip structure)
- * @param {string} fileRelativePathInZip - Full relative path of the markdown file in zip (for calculating relative image paths)
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in the order of the items
  */
-function convertImages(content, fileDir, fileRelativeDir = '', fileRelativePathInZip = '') {
-  // Convert Obsidian embed syntax ![[image.png]] to standard markdown
-  const embedRegex = /!\[\[([^\]]+)\]\]/g;
-  
-  let processedContent = content.replace(embedRegex, (match, imagePath) => {
-    // Extract just the filename from the path
-    const imageFileName = path.basename(imagePath);
-    
-    // Check if it's a relative path or absolute from vault
-    let fullImagePath = path.isAbsolute(imagePath) 
-      ? imagePath 
-      : path.join(fileDir, imagePath);
-    
-    // Also try vault root
-    if (!fs.existsSync(fullImagePath)) {
-      fullImagePath = path.join(vaultPath, imagePath);
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
     }
-    
-    // Also try in attachments folder relative to current file
-    if (!fs.existsSync(fullImagePath)) {
-      const attachmentsPath = path.join(fileDir, 'attachments', imagePath);
-      if (fs.existsSync(attachmentsPath)) {
-        fullImagePath = attachmentsPath;
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Read the folders and notes (and canvases) of the vault ahead of the conversion, `run.concurrency` at a time
+ * The conversion itself stays synchronous and in a fixed order (so the zip is the same on
+ * every run); it takes listings, notes and file stats from these caches (readDirEntries,
+ * readNote, getFileStats) instead of waiting for the disk once per file. Attachments are
+ * checked (stat and read access) but not read here
+ * @param {string} rootPath - Vault root
+ * @returns {Promise<object>} { folders, notes, files } counts
+ */
+async function prefetchVault(rootPath) {
+  const notePaths = [];
+  const filePaths = [];
+  let level = [path.resolve(rootPath)];
+  let folders = 0;
+  
+  // Folder listings, one level of the tree at a time
+  while (level.length > 0) {
+    const listings = await mapWithConcurrency(level, run.concurrency, dir =>
+      fs.promises.readdir(dir, { withFileTypes: true }).catch(() => null));
+    const nextLevel = [];
+    level.forEach((dir, i) => {
+      if (!listings[i]) {
+        return;
       }
-    }
-    
-    // Also try attachments folder in vault root
-    if (!fs.existsSync(fullImagePath)) {
-      const attachmentsPath = path.join(vaultPath, 'attachments', imagePath);
-      if (fs.existsSync(attachmentsPath)) {
-        fullImagePath = attachmentsPath;
+      run.dirEntries.set(normalizePath(dir), listings[i]);
+      folders++;
+      for (const entry of listings[i]) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.name.startsWith('.') || isExcludedByPattern(fullPath)) {
+          continue;
+        }
+        if (entry.isDirectory()) {
+          if (!isDeleted(fullPath, entry.name)) {
+            nextLevel.push(fullPath);
+          }
+        } else if (entry.isFile()) {
+          filePaths.push(fullPath);
+          if (/\.(md|markdown|canvas)$/i.test(entry.name) && isIncludedByPattern(fullPath)) {
+            notePaths.push(fullPath);
+          }
+        }
       }
+    });
+    level = nextLevel;
+  }
+  
+  // Stats of every file (files that can't be read keep their error, reported where they are used)
+  await mapWithConcurrency(filePaths, run.concurrency, async (filePath) => {
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      run.fileStats.set(normalizePath(filePath), await fs.promises.stat(filePath));
+    } catch (err) {
+      run.fileStats.set(normalizePath(filePath), err);
     }
-    
-    // Recursively search in the file's directory and subdirectories first
-    // This handles images in the same folder or nearby subfolders
-    if (!fs.existsSync(fullImagePath)) {
-      // Search in the file's directory and up to 3 levels deep
-      const foundInFileDir = findFileRecursively(fileDir, imageFileName, 3, 0);
-      if (foundInFileDir) {
-        fullImagePath = foundInFileDir;
-      }
+  });
+  
+  // Notes (unreadable notes are left out and fail later, where they are used)
+  await mapWithConcurrency(notePaths, run.concurrency, async (notePath) => {
+    try {
+      run.noteContents.set(normalizePath(notePath), await fs.promises.readFile(notePath, 'utf-8'));
+    } catch (err) {
+      // Reported by processMarkdownFile
     }
-    
-    // Recursively search in attachments folders if still not found
-    if (!fs.existsSync(fullImagePath)) {
-      // Try attachments folder relative to current file (recursive)
-      const attachmentsDir = path.join(fileDir, 'attachments');
-      if (fs.existsSync(attachmentsDir)) {
-        const found = findFileRecursively(attachmentsDir, imageFileName);
-        if (found) {
-          fullImagePath = found;
-        }
-      }
+  });
+  
+  return { folders, notes: run.noteContents.size, files: filePaths.length };
+}
+
+/**
+ * List a folder, from the listings read by prefetchVault when possible
+ * @returns {Array<fs.Dirent>} Entries (a copy, callers may sort it)
+ * @throws {Error} If the folder can't be read
+ */
+function readDirEntries(dir) {
+  const cached = run.dirEntries.get(normalizePath(dir));
+  return cached ? [...cached] : fs.readdirSync(dir, { withFileTypes: true });
+}
+
+/**
+ * Read a note or canvas, from the files read by prefetchVault when possible
+ * @throws {Error} If the note can't be read
+ */
+function readNote(filePath) {
+  const cached = run.noteContents.get(normalizePath(filePath));
+  return cached !== undefined ? cached : fs.readFileSync(filePath, 'utf-8');
+}
+
+/**
+ * Stats of a readable file, from the ones read by prefetchVault when possible
+ * @returns {fs.Stats} Stats
+ * @throws {Error} If the file doesn't exist or can't be read
+ */
+function getFileStats(filePath) {
+  const cached = run.fileStats.get(normalizePath(filePath));
+  if (cached instanceof Error) {
+    throw cached;
+  }
+  if (cached) {
+    return cached;
+  }
+  fs.accessSync(filePath, fs.constants.R_OK);
+  return fs.statSync(filePath);
+}
+
+/**
+ * Build an index of every note and attachment in the vault with a single scan
+ * Notes are indexed by name, alias and path; attachments by file name and path
+ * Resolvers (findNoteFile, resolveAttachment) query the index instead of walking the vault
+ * @param {string} rootPath - Vault root
+ * @returns {object} Vault index
+ */
+function buildVaultIndex(rootPath) {
+  const index = {
+    root: path.resolve(rootPath),
+    notes: [],
+    notesByName: new Map(),
+    notesByAlias: new Map(),
+    notesByPath: new Map(),
+    files: [],
+    filesByName: new Map(),
+    filesByPath: new Map(),
+    ambiguous: new Map(),
+    settings: readObsidianAppSettings(rootPath),
+    propertyTypes: readObsidianPropertyTypes(rootPath),
+    zipPaths: new Map(),
+    usedZipPaths: new Set(),
+    // Excalidraw drawing note -> zip path of its drawing data (.excalidraw)
+    drawingDataPaths: new Map()
+  };
+  
+  const addToList = (map, key, entry) => {
+    if (!map.has(key)) {
+      map.set(key, []);
     }
-    
-    // Try attachments folder in vault root (recursive)
-    if (!fs.existsSync(fullImagePath)) {
-      const attachmentsDir = path.join(vaultPath, 'attachments');
-      if (fs.existsSync(attachmentsDir)) {
-        const found = findFileRecursively(attachmentsDir, imageFileName);
-        if (found) {
-          fullImagePath = found;
-        }
-      }
+    map.get(key).push(entry);
+  };
+  
+  const scan = (dir) => {
+    let entries;
+    try {
+      entries = readDirEntries(dir);
+    } catch (err) {
+      // Directory can't be read
+      return;
     }
     
-    // Try searching in the current file's directory and subdirectories (not just attachments)
-    // This handles images in the same folder or subfolders as the markdown file
-    if (!fs.existsSync(fullImagePath)) {
-      // Search in the file's directory and up to 5 levels deep to find images in subfolders
-      const foundInFileDir = findFileRecursively(fileDir, imageFileName, 5, 0);
-      if (foundInFileDir) {
-        fullImagePath = foundInFileDir;
-      }
-    }
+    // Sort so that lookups are deterministic across platforms
+    entries.sort((a, b) => a.name.localeCompare(b.name));
     
-    // Try searching in the root folder of the current file (e.g., SIGEO folder)
-    // This handles images in the same root folder but different subfolders
-    if (!fs.existsSync(fullImagePath)) {
-      // Walk up to find the root folder (e.g., SIGEO)
-      let currentDir = fileDir;
-      let rootFolder = null;
-      for (let i = 0; i < 10; i++) {
-        const parentDir = path.dirname(currentDir);
-        if (normalizePath(parentDir) === normalizePath(vaultPath)) {
-          rootFolder = currentDir;
-          break;
-        }
-        currentDir = parentDir;
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      
+      // Skip hidden files and Obsidian-specific directories
+      if (entry.name.startsWith('.')) {
+        continue;
       }
       
-      if (rootFolder) {
-        // Search in the root folder and its subdirectories
-        const foundInRootFolder = findFileRecursively(rootFolder, imageFileName, 10, 0);
-        if (foundInRootFolder) {
-          fullImagePath = foundInRootFolder;
+      if (entry.isDirectory()) {
+        if (!isDeleted(fullPath, entry.name) && !isExcludedByPattern(fullPath)) {
+          scan(fullPath);
         }
+        continue;
       }
-    }
-    
-    // Try searching in any attachments folder in the vault (recursive)
-    if (!fs.existsSync(fullImagePath)) {
-      const findAttachmentsFolders = (dir, maxDepth = 5, currentDepth = 0) => {
-        if (currentDepth >= maxDepth) return null;
-        
+      
+      if (!entry.isFile() || !shouldIncludeFile(fullPath)) {
+        continue;
+      }
+      
+      const relativePath = path.relative(index.root, fullPath).replace(/\\/g, '/');
+      const ext = path.extname(entry.name).toLowerCase();
+      
+      if (ext === '.md' || ext === '.markdown') {
+        let aliases = [];
         try {
-          const entries = fs.readdirSync(dir, { withFileTypes: true });
-          for (const entry of entries) {
-            if (entry.isDirectory()) {
-              const fullPath = path.join(dir, entry.name);
-              const lowerName = entry.name.toLowerCase();
-              
-              // Check if this is an attachments folder
-              if (lowerName === 'attachments' || lowerName === 'attachment' || lowerName.startsWith('attachments_')) {
-                const found = findFileRecursively(fullPath, imageFileName);
-                if (found) {
-                  return found;
-                }
-              }
-              
-              // Recursively search subdirectories
-              const subFound = findAttachmentsFolders(fullPath, maxDepth, currentDepth + 1);
-              if (subFound) {
-                return subFound;
-              }
-            }
-          }
+          aliases = parseFrontmatterAliases(readNote(fullPath));
         } catch (err) {
-          // Skip directories we can't read
+          // Unreadable note: indexed without aliases
         }
-        return null;
-      };
-      
-      const found = findAttachmentsFolders(vaultPath);
-      if (found) {
-        fullImagePath = found;
+        
+        const note = {
+          fullPath: fullPath,
+          relativePath: relativePath,
+          key: toIndexKey(relativePath.slice(0, -ext.length)),
+          name: path.basename(entry.name, ext),
+          aliases: aliases
+        };
+        index.notes.push(note);
+        index.notesByPath.set(note.key, note);
+        addToList(index.notesByName, note.name.toLowerCase(), note);
+        for (const alias of aliases) {
+          addToList(index.notesByAlias, alias.toLowerCase(), note);
+        }
+      } else {
+        const file = {
+          fullPath: fullPath,
+          relativePath: relativePath,
+          key: toIndexKey(relativePath),
+          name: entry.name
+        };
+        index.files.push(file);
+        index.filesByPath.set(file.key, file);
+        addToList(index.filesByName, entry.name.toLowerCase(), file);
       }
     }
-    
-    // Final fallback: search entire vault recursively
-    if (!fs.existsSync(fullImagePath)) {
-      const foundInVault = findFileRecursively(vaultPath, imageFileName, 10, 0);
-      if (foundInVault) {
-        fullImagePath = foundInVault;
-      }
+  };
+  
+  scan(index.root);
+  
+  // Assign archive paths in a fixed order so that collisions are resolved the same way every run
+  // (canvases last: a note keeps its path when a canvas of the same name becomes a page next to it)
+  const isCanvas = entry => /\.canvas$/i.test(entry.relativePath);
+  const byPath = (a, b) => isCanvas(a) - isCanvas(b) || a.relativePath.localeCompare(b.relativePath);
+  for (const entry of [...index.notes, ...index.files].sort(byPath)) {
+    entry.zipPath = assignZipPath(index, entry.relativePath);
+    index.zipPaths.set(normalizePath(entry.fullPath), entry.zipPath);
+  }
+  
+  // Drawing data is exported next to its drawing; vault files keep their paths when they collide
+  for (const note of index.notes) {
+    if (isExcalidrawFile(note.fullPath)) {
+      const dataPath = assignZipPath(index, note.relativePath.replace(/(\.excalidraw)?\.(md|markdown)$/i, '.excalidraw'));
+      index.drawingDataPaths.set(normalizePath(note.fullPath), dataPath);
     }
-    
-    if (fs.existsSync(fullImagePath)) {
-      // Calculate path relative to vault root (for zip structure)
-      const relativePath = path.relative(vaultPath, fullImagePath);
-      let linkPath = relativePath.replace(/\\/g, '/');
-      
-      // Ensure path is always relative (not starting with ../)
-      if (linkPath.startsWith('../')) {
-        // If image is outside vault, keep original path but sanitize
-        linkPath = imagePath;
+  }
+  
+  return index;
+}
+
+/**
+ * Assign the archive path for a vault-relative path
+ * Sanitized paths that collide ("My Note.md" and "My_Note.md") get a numeric suffix
+ * @param {object} index - Vault index (tracks the paths already in use)
+ * @param {string} relativePath - Path relative to the vault root
+ * @returns {string} Unique archive path
+ */
+function assignZipPath(index, relativePath) {
+  // Canvases are exported as pages
+  const sanitizedPath = sanitizePathForLink(relativePath.replace(/\.canvas$/i, '.md'));
+  let zipPath = sanitizedPath;
+  
+  // Archive entries are compared case-insensitively (Anytype may extract on a case-insensitive file system)
+  const ext = path.posix.extname(sanitizedPath);
+  const withoutExt = sanitizedPath.slice(0, sanitizedPath.length - ext.length);
+  for (let counter = 2; index.usedZipPaths.has(zipPath.toLowerCase()); counter++) {
+    zipPath = `${withoutExt}_${counter}${ext}`;
+  }
+  
+  if (zipPath !== sanitizedPath) {
+    recordWarning(`Path collision: ${relativePath} is exported as ${zipPath}`);
+  }
+  
+  index.usedZipPaths.add(zipPath.toLowerCase());
+  return zipPath;
+}
+
+/**
+ * Get the archive path for a file in the vault
+ * This is the single mapping used for zip entry names and for every link that points at them
+ * @param {string} fullPath - Full path to a file in the vault
+ * @returns {string} Path of the file inside the zip (sanitized, forward slashes)
+ */
+function getZipPath(fullPath) {
+  const index = getVaultIndex();
+  const zipPath = index.zipPaths.get(normalizePath(fullPath));
+  if (zipPath) {
+    return zipPath;
+  }
+  
+  // Not indexed (generated files, files outside the vault): sanitize the vault-relative path
+  const relativePath = path.relative(index.root, path.resolve(fullPath));
+  return sanitizePathForLink(relativePath.startsWith('..') ? path.basename(fullPath) : relativePath);
+}
+
+/**
+ * Get the vault index, building it on first use
+ */
+function getVaultIndex() {
+  if (!run.vaultIndex || run.vaultIndex.root !== path.resolve(run.vaultPath)) {
+    run.vaultIndex = buildVaultIndex(run.vaultPath);
+  }
+  return run.vaultIndex;
+}
+
+/**
+ * Check if a directory is an attachments folder (attachments, attachment, attachments_*)
+ */
+function isAttachmentsFolderName(name) {
+  return matchesNamePattern(name, run.settings.attachmentFolders);
+}
+
+/**
+ * Pick the best entry when a name matches several notes or files
+ * Preference: same directory as the linking note, inside its directory, same root folder,
+ * inside an attachments folder, then anywhere (alphabetical by path)
+ * Ambiguous matches are reported once per link target
+ * @param {Array<object>} candidates - Index entries matching the name
+ * @param {string} baseDir - Directory of the note containing the link
+ * @param {string} label - Link text for the ambiguity report
+ * @returns {string|null} Full path of the chosen entry, null if there are no candidates
+ */
+function pickIndexEntry(candidates, baseDir, label) {
+  if (candidates.length === 0) {
+    return null;
+  }
+  if (candidates.length === 1) {
+    return candidates[0].fullPath;
+  }
+  
+  const index = getVaultIndex();
+  const baseDisplayPath = path.relative(index.root, path.resolve(baseDir)).replace(/\\/g, '/');
+  const baseRelative = toIndexKey(baseDisplayPath);
+  const baseRootFolder = baseRelative.split('/')[0];
+  
+  const rank = (entry) => {
+    const entryDir = path.posix.dirname(toIndexKey(entry.relativePath));
+    const normalizedDir = entryDir === '.' ? '' : entryDir;
+    if (normalizedDir === baseRelative) return 0;
+    if (baseRelative && normalizedDir.startsWith(baseRelative + '/')) return 1;
+    if (baseRootFolder && normalizedDir.split('/')[0] === baseRootFolder) return 2;
+    if (normalizedDir.split('/').some(isAttachmentsFolderName)) return 3;
+    return 4;
+  };
+  
+  const ranked = candidates
+    .map(entry => ({ entry, rank: rank(entry) }))
+    .sort((a, b) => a.rank - b.rank || a.entry.relativePath.localeCompare(b.entry.relativePath));
+  
+  const chosen = ranked[0].entry;
+  const ties = ranked.filter(r => r.rank === ranked[0].rank);
+  if (ties.length > 1) {
+    reportAmbiguousLink(label, baseDisplayPath, ties.map(r => r.entry), chosen);
+  }
+  
+  return chosen.fullPath;
+}
+
+/**
+ * Record a link that matched several notes/files (reported once per link and source folder)
+ * @param {string} label - Link text
+ * @param {string} sourceFolder - Vault-relative folder of the linking note
+ * @param {Array<object>} candidates - Matching index entries
+ * @param {object} chosen - Entry the link was resolved to
+ */
+function reportAmbiguousLink(label, sourceFolder, candidates, chosen) {
+  const index = getVaultIndex();
+  const reportKey = `${label} <- ${toIndexKey(sourceFolder)}`;
+  if (index.ambiguous.has(reportKey)) {
+    return;
+  }
+  
+  index.ambiguous.set(reportKey, {
+    link: label,
+    from: sourceFolder || '.',
+    candidates: candidates.map(entry => entry.relativePath),
+    chosen: chosen.relativePath
+  });
+  recordWarning(`Ambiguous link ${label}: ${candidates.length} matches, using ${chosen.relativePath}`);
+}
+
+/**
+ * Pick the note Obsidian opens when a name (or partial path) matches several notes
+ * A note in the same folder as the linking note wins, then the shortest path, then alphabetical order
+ * @param {Array<object>} candidates - Index entries matching the link
+ * @param {string} baseDir - Directory of the note containing the link
+ * @param {string} label - Link text for the ambiguity report
+ * @returns {string|null} Full path of the chosen note, null if there are no candidates
+ */
+function pickClosestNote(candidates, baseDir, label) {
+  if (candidates.length === 0) {
+    return null;
+  }
+  if (candidates.length === 1) {
+    return candidates[0].fullPath;
+  }
+  
+  const index = getVaultIndex();
+  const sourceFolder = path.relative(index.root, path.resolve(baseDir)).replace(/\\/g, '/');
+  const sourceKey = toIndexKey(sourceFolder);
+  const folderOf = (note) => {
+    const dir = path.posix.dirname(note.key);
+    return dir === '.' ? '' : dir;
+  };
+  
+  const sorted = [...candidates].sort((a, b) => {
+    const aSameFolder = folderOf(a) === sourceKey ? 0 : 1;
+    const bSameFolder = folderOf(b) === sourceKey ? 0 : 1;
+    return aSameFolder - bSameFolder ||
+      a.relativePath.split('/').length - b.relativePath.split('/').length ||
+      a.relativePath.length - b.relativePath.length ||
+      a.relativePath.localeCompare(b.relativePath);
+  });
+  
+  reportAmbiguousLink(label, sourceFolder, sorted, sorted[0]);
+  return sorted[0].fullPath;
+}
+
+/**
+ * Read the Obsidian settings that affect link resolution from .obsidian/app.json
+ * newLinkFormat: 'shortest' (default), 'relative' or 'absolute'
+ * @param {string} rootPath - Vault root
+ * @returns {{newLinkFormat: string}} Settings with defaults applied
+ */
+function readObsidianAppSettings(rootPath) {
+  const settings = { newLinkFormat: 'shortest' };
+  const appConfigPath = path.join(rootPath, '.obsidian', 'app.json');
+  
+  try {
+    if (fs.existsSync(appConfigPath)) {
+      const appConfig = JSON.parse(fs.readFileSync(appConfigPath, 'utf-8'));
+      if (['shortest', 'relative', 'absolute'].includes(appConfig.newLinkFormat)) {
+        settings.newLinkFormat = appConfig.newLinkFormat;
       }
-      
-      // Sanitize path to match zip file paths (replace spaces with underscores)
-      let sanitizedPath = sanitizePathForLink(linkPath);
-      // Ensure path uses forward slashes (not backslashes) - critical for Anytype
-      sanitizedPath = sanitizedPath.replace(/\\/g, '/');
-      
-      // Debug: log ALL image path resolution
-      console.log(`    🖼️  Found image: ${imagePath} -> ${sanitizedPath} (file: ${path.basename(fullImagePath)})`);
-      
-      // Ensure the path matches exactly how it's stored in the zip
-      // The path should be relative to vault root and sanitized
-      return `![${path.basename(imagePath, path.extname(imagePath))}](${sanitizedPath})`;
+    }
+  } catch (err) {
+    recordWarning(`Could not read ${appConfigPath}: ${err.message}`, '');
+  }
+  
+  return settings;
+}
+
+/**
+ * Resolve an attachment link (embed or markdown image) to a file in the vault
+ * Tries the path relative to the note, relative to the vault root and inside attachments folders,
+ * then falls back to a lookup by file name
+ * @param {string} linkPath - Path from the link
+ * @param {string} fileDir - Directory of the note containing the link
+ * @returns {string|null} Full path to the file if found, null otherwise
+ */
+function resolveAttachment(linkPath, fileDir) {
+  // Absolute paths (possibly outside the vault)
+  if (path.isAbsolute(linkPath)) {
+    return fs.existsSync(linkPath) ? linkPath : null;
+  }
+  
+  const index = getVaultIndex();
+  const candidatePaths = [
+    path.resolve(fileDir, linkPath),
+    path.resolve(index.root, linkPath)
+  ];
+  // Attachment folders next to the note and at the vault root (names without wildcards)
+  for (const folderName of run.settings.attachmentFolders.filter(name => !/[*?]/.test(name))) {
+    candidatePaths.push(path.resolve(fileDir, folderName, linkPath), path.resolve(index.root, folderName, linkPath));
+  }
+  
+  for (const candidatePath of candidatePaths) {
+    const found = index.filesByPath.get(toIndexKey(path.relative(index.root, candidatePath)));
+    if (found) {
+      return found.fullPath;
+    }
+  }
+  
+  const byName = index.filesByName.get(path.basename(linkPath).toLowerCase()) || [];
+  return pickIndexEntry(byName, fileDir, linkPath);
+}
+
+/**
+ * Parse the inside of an Obsidian wiki link or embed
+ * Handles: Note, Note|Alias, Note#Heading, Note#Heading#Subheading, Note#^block-id, Note^block-id
+ * @param {string} linkContent - Text between [[ and ]]
+ * @returns {{noteName: string, heading: string|null, blockId: string|null, alias: string|null}}
+ */
+function parseWikiLink(linkContent) {
+  const pipeIndex = linkContent.indexOf('|');
+  let target = (pipeIndex >= 0 ? linkContent.substring(0, pipeIndex) : linkContent).trim();
+  const alias = pipeIndex >= 0 ? linkContent.substring(pipeIndex + 1).trim() : null;
+  
+  let heading = null;
+  let blockId = null;
+  
+  const hashIndex = target.indexOf('#');
+  if (hashIndex >= 0) {
+    const subpath = target.substring(hashIndex + 1);
+    target = target.substring(0, hashIndex);
+    if (subpath.startsWith('^')) {
+      blockId = subpath.substring(1).trim();
     } else {
-      // Debug: log when image is NOT found
-      console.log(`    ⚠️  Image NOT found: ${imagePath} (searched from ${fileDir})`);
-      // Image not found, but try to construct a valid path
-      // If it's a relative path, make it relative to vault root
-      let imagePathToUse = imagePath;
-      if (!path.isAbsolute(imagePath) && !imagePath.startsWith('http://') && !imagePath.startsWith('https://')) {
-        // Try to construct path relative to vault root
-        const possiblePath = path.join(fileDir, imagePath);
-        const relativeFromVault = path.relative(vaultPath, possiblePath);
-        if (!relativeFromVault.startsWith('..')) {
-          imagePathToUse = relativeFromVault.replace(/\\/g, '/');
+      // Nested heading links ([[Note#H1#H2]]) point at the last heading
+      const headings = subpath.split('#').map(h => h.trim()).filter(h => h);
+      heading = headings.length > 0 ? headings[headings.length - 1] : null;
+    }
+  } else {
+    // Also accept the short form [[Note^block-id]]
+    const blockMatch = target.match(/\^([A-Za-z0-9-]+)$/);
+    if (blockMatch) {
+      blockId = blockMatch[1];
+      target = target.substring(0, blockMatch.index);
+    }
+  }
+  
+  return {
+    noteName: target.trim(),
+    heading: heading,
+    blockId: blockId || null,
+    alias: alias || null
+  };
+}
+
+/**
+ * Convert a heading to the anchor used in the exported markdown
+ * Lowercase, punctuation removed, spaces -> hyphens (GitHub-style slug)
+ */
+function slugifyHeading(heading) {
+  return heading
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Build the anchor fragment (including #) for a parsed wiki link
+ * Returns an empty string when the link has no heading or block part
+ */
+function getLinkAnchor(parsedLink) {
+  if (parsedLink.blockId) {
+    return `#${parsedLink.blockId}`;
+  }
+  if (parsedLink.heading) {
+    return `#${slugifyHeading(parsedLink.heading)}`;
+  }
+  return '';
+}
+
+/**
+ * Run a replacement on the parts of the content that are not code
+ * Fenced code blocks and inline code are left untouched
+ * @param {string} content - Markdown content
+ * @param {function} transform - Called with each non-code chunk and its position in the content,
+ *   returns the replacement
+ * @returns {string} Content with the non-code parts transformed
+ */
+function replaceOutsideCode(content, transform) {
+  const codeBlockRegex = /```[\s\S]*?```|`[^`\n]+`/g;
+  let result = '';
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = codeBlockRegex.exec(content)) !== null) {
+    result += transform(content.substring(lastIndex, match.index), lastIndex) + match[0];
+    lastIndex = match.index + match[0].length;
+  }
+  result += transform(content.substring(lastIndex), lastIndex);
+  
+  return result;
+}
+
+/**
+ * Convert Obsidian block IDs (^block-id) into HTML anchors
+ * so that [[Note^block-id]] links have something to point at
+ * Handles IDs at the end of a line and IDs on their own line (after lists, tables, quotes)
+ */
+function convertBlockIds(content) {
+  return replaceOutsideCode(content, (text, start) =>
+    text.replace(/(^|[ \t])\^([A-Za-z0-9-]+)[ \t]*$/gm, (match, prefix, blockId, index) =>
+      isWholeLineEnd(content, start + index, match, prefix) ? `${prefix}<a id="${blockId}"></a>` : match
+    )
+  );
+}
+
+/**
+ * Check that a match of a /(^|[ \t])...$/m pattern in a chunk from replaceOutsideCode ends its line
+ * in the whole content: ^ and $ also match where a chunk meets inline code ("press ^C `ctrl`")
+ * @param {string} content - Whole content
+ * @param {number} position - Position of the match in the content
+ * @param {string} match - Matched text
+ * @param {string} prefix - Whitespace matched before it ('' when the match is anchored at ^)
+ */
+function isWholeLineEnd(content, position, match, prefix) {
+  const before = content[position - 1];
+  const after = content[position + match.length];
+  const startsLine = prefix !== '' || before === undefined || before === '\n';
+  return startsLine && (after === undefined || after === '\n' || after === '\r');
+}
+
+/**
+ * Convert Obsidian callouts into quotes that start with an icon and a bold title
+ * "> [!warning]- Title" becomes "> ⚠️ **Title**" (the fold marker is dropped, the content stays quoted)
+ * Nested callouts ("> > [!tip]") keep their quote level; callouts without a title get the type as title
+ */
+function convertCallouts(content) {
+  const icons = run.settings.calloutIcons;
+  const getIcon = (type) => {
+    // Last match first: config keys written in another case ('Warning') come after the built-in ones
+    const key = Object.keys(icons).reverse().find(name => name.toLowerCase() === type.toLowerCase());
+    if (key !== undefined) return icons[key];
+    return icons.note || '';
+  };
+  
+  return replaceOutsideCode(content, text =>
+    text.replace(/^([ \t]*(?:>[ \t]*)+)\[!([\w-]+)\][+-]?[ \t]*(.*)$/gm, (match, quote, type, title) => {
+      const icon = getIcon(type);
+      const heading = title.trim() || type.charAt(0).toUpperCase() + type.slice(1).toLowerCase();
+      return `${quote.trimEnd()} ${icon ? icon + ' ' : ''}**${heading}**`;
+    })
+  );
+}
+
+/**
+ * Convert Obsidian comments (%%comment%%) as configured in syntax.comments
+ * Runs before links are converted, so links in stripped comments aren't reported or inlined;
+ * stripped comments keep their line breaks, so broken-link line numbers stay right
+ * @param {string} content - Markdown content without frontmatter
+ * @returns {string} Content with the comments stripped or turned into HTML comments
+ */
+function convertComments(content) {
+  const mode = run.settings.syntax.comments;
+  if (mode === 'keep') {
+    return content;
+  }
+  // Code and comments are matched in one pass: %% in code is no comment, but a comment
+  // may contain code (a fenced block in a private comment is stripped with it)
+  return content.replace(/```[\s\S]*?```|`[^`\n]+`|%%([\s\S]*?)%%/g, (match, comment) => {
+    if (comment === undefined) {
+      return match;
+    }
+    return mode === 'html' ? `<!--${comment}-->` : comment.replace(/[^\n]/g, '');
+  });
+}
+
+/**
+ * Normalize the rest of the Obsidian-only markdown syntax as configured in the syntax project setting:
+ * $math$ and $$math$$, ^[inline footnotes], ==highlights== and custom task statuses
+ * Runs after links and embeds are converted: $$math$$ blocks and footnotes change the lines of the
+ * note, and broken links are reported with their line in the note as written
+ * @param {string} content - Markdown content without frontmatter
+ * @param {string} [footnotePrefix] - Prefix of footnote labels (canvas cards use their own, so they don't clash)
+ * @returns {string} Normalized content
+ */
+function normalizeSyntax(content, footnotePrefix = '') {
+  const syntax = run.settings.syntax;
+  
+  // Each construct is its own pass, so code created by one pass (math) is skipped by the next
+  if (syntax.math === 'code') {
+    content = replaceOutsideCode(content, text =>
+      text
+        // $$block$$ on lines of its own becomes a latex code block, inside a line it becomes inline code
+        .replace(/^([ \t]*)\$\$((?:(?!\$\$)[\s\S])+)\$\$[ \t]*$/gm, (match, indent, math) =>
+          `${indent}\`\`\`latex\n${math.trim()}\n${indent}\`\`\``
+        )
+        .replace(/\$\$([^$]+?)\$\$/g, (match, math) => `\`${math.trim()}\``)
+        // $inline$ math: no space inside the dollar signs, no digit after the closing one ($5 and $10)
+        .replace(/(^|[^\\$])\$(?=[^\s$])([^$\n]*?[^\s$\\])\$(?!\d)/g, (match, before, math) => `${before}\`${math}\``)
+    );
+  }
+  
+  if (syntax.footnotes !== 'keep') {
+    // Numbered footnotes skip labels the note already uses; their text goes to the end of the note
+    const definitions = [];
+    let number = 0;
+    const addFootnote = (footnote) => {
+      do {
+        number++;
+      } while (content.includes(`[^${footnotePrefix}${number}]`));
+      definitions.push(`[^${footnotePrefix}${number}]: ${footnote}`);
+      return `[^${footnotePrefix}${number}]`;
+    };
+    content = replaceOutsideCode(content, text => convertInlineFootnotes(text, syntax.footnotes, addFootnote));
+    if (definitions.length > 0) {
+      content = content.replace(/\s*$/, '\n\n' + definitions.join('\n') + '\n');
+    }
+  }
+  
+  if (syntax.highlights !== 'keep') {
+    const marks = { bold: ['**', '**'], html: ['<mark>', '</mark>'], strip: ['', ''] }[syntax.highlights];
+    content = replaceOutsideCode(content, text =>
+      text.replace(/==([^\s=](?:[^\n]*?[^\s=])?)==/g, (match, highlighted) => `${marks[0]}${highlighted}${marks[1]}`)
+    );
+  }
+  
+  if (syntax.tasks === 'convert') {
+    content = replaceOutsideCode(content, text =>
+      text.replace(/^([ \t>]*(?:[-*+]|\d+[.)])[ \t]+)\[([^ xX\]])\](?=[ \t]|$)(.*)$/gm, (match, item, status, task) => {
+        if (status === '-') {
+          return task.trim() ? `${item}[x] ~~${task.trim()}~~` : `${item}[x]`;
         }
+        const icon = TASK_STATUS_ICONS[status];
+        return icon ? `${item}[ ] ${icon}${task}` : `${item}[ ]${task}`;
+      })
+    );
+  }
+  
+  return content;
+}
+
+/**
+ * Convert Obsidian inline footnotes (^[text]) in a non-code chunk
+ * 'footnote' replaces them with the reference returned by addFootnote, 'inline' with the text
+ * in parentheses, 'strip' removes them
+ * @param {string} text - Non-code chunk of the content
+ * @param {string} mode - syntax.footnotes setting
+ * @param {function} addFootnote - Called with the footnote text, returns its reference ([^1])
+ * @returns {string} Chunk with the inline footnotes converted
+ */
+function convertInlineFootnotes(text, mode, addFootnote) {
+  let result = '';
+  let index = 0;
+  let start;
+  
+  while ((start = text.indexOf('^[', index)) !== -1) {
+    // Find the matching ], footnotes may contain links ([text](path), [[Note]])
+    let depth = 0;
+    let end = -1;
+    for (let i = start + 1; i < text.length; i++) {
+      if (text[i] === '[') depth++;
+      if (text[i] === ']' && --depth === 0) {
+        end = i;
+        break;
       }
-      let sanitizedPath = sanitizePathForLink(imagePathToUse);
-      // Ensure path uses forward slashes (not backslashes) - critical for Anytype
-      sanitizedPath = sanitizedPath.replace(/\\/g, '/');
-      return `![${path.basename(imagePath)}](${sanitizedPath})`;
     }
-  });
+    if (end === -1) break;
+    
+    // A footnote definition is one line
+    const footnote = text.substring(start + 2, end).trim().replace(/\s*\n\s*/g, ' ');
+    const before = text.substring(index, start);
+    if (mode === 'footnote') {
+      result += before + addFootnote(footnote);
+    } else if (mode === 'inline') {
+      result += `${before.trimEnd()} (${footnote})`;
+    } else {
+      result += before.trimEnd();
+    }
+    index = end + 1;
+  }
   
-  // Also sanitize paths in regular markdown image syntax ![alt](path)
-  // This ensures all image paths match the sanitized paths in the zip
-  const markdownImageRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
-  processedContent = processedContent.replace(markdownImageRegex, (match, altText, imagePath) => {
-    // Skip if it's already been processed (starts with http/https or is a data URI)
-    if (imagePath.startsWith('http://') || imagePath.startsWith('https://') || imagePath.startsWith('data:')) {
+  return result + text.substring(index);
+}
+
+/**
+ * Find the markdown file a wiki link or note embed points to, the way Obsidian resolves it:
+ * 1. ./ and ../ paths relative to the linking note
+ * 2. Paths relative to the linking note's folder and to the vault root
+ *    (order follows newLinkFormat in .obsidian/app.json: 'absolute' tries the vault root first)
+ * 3. Notes whose name (or path suffix, for [[A/index]]) matches - same folder first, then shortest path
+ * 4. Canvases and other files, linked with their extension ([[Map.canvas]], [[paper.pdf]]), found like attachments
+ * 5. Frontmatter aliases
+ * @param {string} noteName - Note name from the link (without heading/block part)
+ * @param {string} baseDir - Directory of the note containing the link
+ * @returns {string|null} Full path to the note (or canvas or file) if found, null otherwise
+ */
+function findNoteFile(noteName, baseDir) {
+  const index = getVaultIndex();
+  
+  // Links may include the extension: [[Note.md]]
+  const name = noteName.replace(/\\/g, '/').replace(/\.(md|markdown)$/i, '').trim();
+  if (!name) {
+    return null;
+  }
+  const lowerName = name.toLowerCase();
+  const relativeKey = toIndexKey(path.relative(index.root, path.resolve(baseDir, name)));
+  
+  // Explicit relative paths only resolve against the linking note
+  if (/^\.\.?\//.test(name)) {
+    const byRelativePath = index.notesByPath.get(relativeKey);
+    return byRelativePath ? byRelativePath.fullPath : null;
+  }
+  
+  const absoluteKey = lowerName.replace(/^\/+/, '');
+  const pathKeys = index.settings.newLinkFormat === 'absolute'
+    ? [absoluteKey, relativeKey]
+    : [relativeKey, absoluteKey];
+  for (const key of pathKeys) {
+    const byPath = index.notesByPath.get(key);
+    if (byPath) {
+      return byPath.fullPath;
+    }
+  }
+  
+  // Name or partial path: [[index]], [[A/index]] (matches Projects/A/index.md)
+  const baseName = absoluteKey.split('/').pop();
+  let candidates = index.notesByName.get(baseName) || [];
+  if (absoluteKey.includes('/')) {
+    candidates = candidates.filter(note => note.key.endsWith('/' + absoluteKey));
+  }
+  if (candidates.length > 0) {
+    return pickClosestNote(candidates, baseDir, `[[${noteName}]]`);
+  }
+  
+  // Canvases and attachments are linked with their extension: [[Map.canvas]], [[paper.pdf]]
+  if (path.extname(name)) {
+    const filePath = resolveAttachment(name, baseDir);
+    if (filePath) {
+      return filePath;
+    }
+  }
+  
+  const byAlias = index.notesByAlias.get(lowerName) || [];
+  return pickClosestNote(byAlias, baseDir, `[[${noteName}]] (alias)`);
+}
+
+/**
+ * Decode a markdown link target: strips <...> and decodes %20-style escapes
+ */
+function decodeLinkPath(linkPath) {
+  const unwrapped = linkPath.replace(/^<(.*)>$/, '$1');
+  try {
+    return decodeURI(unwrapped);
+  } catch (err) {
+    // Malformed escape sequence: use the path as written
+    return unwrapped;
+  }
+}
+
+/**
+ * Convert standard markdown links [text](path) to the paths used in the zip
+ * Links to notes ([text](Folder/My%20Note.md#Heading)) are resolved like wiki links,
+ * links to other files like attachments; external links and same-page anchors are kept
+ * Images (![alt](path)) are left to convertImages
+ * @param {string} content - Markdown content
+ * @param {string} baseDir - Directory of the note containing the links
+ * @param {string} [selfPath] - Zip path of the note the content was copied from (inlined embeds),
+ *   so same-page anchors point at that note; empty for the note being converted
+ * @returns {string} Content with link targets rewritten
+ */
+function convertMarkdownLinks(content, baseDir, selfPath = '') {
+  // Targets may contain one level of balanced parentheses: [x](Note%20(draft).md)
+  const markdownLinkRegex = /(?<![!\]])\[([^\]]*)\]\((<[^>]+>|(?:[^()\s]|\([^()\s]*\))+)\)/g;
+  
+  // Links in code are examples, not links: they are left as written
+  return replaceOutsideCode(content, (chunk, start) => chunk.replace(markdownLinkRegex, (match, linkText, target, offset) => {
+    // External links (http:, mailto:, obsidian:, ...) and anchors in the same page
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target)) {
       return match;
     }
-    
-    // Remove .md extension if incorrectly added to file path
-    // Some markdown files might have file paths like "image.png.md" or "document.pdf.md" which is wrong
-    let cleanImagePath = imagePath;
-    if (cleanImagePath.toLowerCase().endsWith('.md')) {
-      // Check if it's actually a file with .md incorrectly appended
-      const withoutMd = cleanImagePath.slice(0, -3);
-      // List of known file extensions (images, documents, etc.)
-      const fileExts = [
-        // Images
-        '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp', '.ico', '.tiff', '.tif', '.heic', '.heif',
-        // Documents
-        '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp',
-        // Audio/Video
-        '.mp3', '.mp4', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.wma', '.avi', '.mov', '.wmv', '.flv', '.mkv', '.webm',
-        // Other
-        '.zip', '.rar', '.7z', '.tar', '.gz', '.txt', '.csv', '.json', '.xml', '.html', '.css', '.js'
-      ];
-      if (fileExts.some(ext => withoutMd.toLowerCase().endsWith(ext))) {
-        cleanImagePath = withoutMd;
-      }
+    if (target.startsWith('#')) {
+      return selfPath ? `[${linkText}](${selfPath}${target})` : match;
     }
     
-    // Try to find the image file
-    let fullImagePath = null;
+    const parsedLink = parseWikiLink(decodeLinkPath(target));
+    const linkPath = parsedLink.noteName;
+    const ext = path.extname(linkPath).toLowerCase();
     
-    // If it's a relative path (starts with ./ or ../), resolve it relative to file directory
-    if (cleanImagePath.startsWith('./') || cleanImagePath.startsWith('../')) {
-      const resolvedFullPath = path.resolve(fileDir, cleanImagePath);
-      if (fs.existsSync(resolvedFullPath)) {
-        fullImagePath = resolvedFullPath;
+    if (ext === '' || ext === '.md' || ext === '.markdown') {
+      const notePath = findNoteFile(linkPath, baseDir);
+      if (!notePath) {
+        recordBrokenLink('markdown link', match, linkPath, content, start + offset);
       }
-    } else if (!path.isAbsolute(cleanImagePath)) {
-      // Relative path without ./ - try multiple locations
-      const possiblePaths = [
-        path.join(fileDir, cleanImagePath),
-        path.join(vaultPath, cleanImagePath),
-        path.join(fileDir, 'attachments', cleanImagePath),
-        path.join(vaultPath, 'attachments', cleanImagePath)
-      ];
-      
-      for (const possiblePath of possiblePaths) {
-        if (fs.existsSync(possiblePath)) {
-          fullImagePath = possiblePath;
-          break;
-        }
+      const zipPath = notePath
+        ? getZipPath(notePath)
+        : sanitizePathForLink(linkPath.replace(/\.(md|markdown)$/i, '') + '.md');
+      return `[${linkText}](${zipPath}${getLinkAnchor(parsedLink)})`;
+    }
+    
+    const filePath = resolveAttachment(linkPath, baseDir);
+    if (!filePath) {
+      recordBrokenLink('attachment link', match, linkPath, content, start + offset);
+    }
+    const zipPath = filePath && !path.relative(run.vaultPath, filePath).startsWith('..')
+      ? getZipPath(filePath)
+      : sanitizePathForLink(linkPath);
+    return `[${linkText}](${zipPath})`;
+  }));
+}
+
+/**
+ * Convert Obsidian wiki-style links [[Note Name]] to markdown links
+ * Also handles aliases: [[Note Name|Display Text]]
+ * and heading/block links: [[Note#Heading]], [[Note#^block-id]], [[Note^block-id]], [[#Heading]]
+ * Embeds (![[...]]) are left to convertImages
+ * @param {string} content - Markdown content
+ * @param {string} baseDir - Directory of the note containing the links
+ * @param {string} [selfPath] - Zip path of the note the content was copied from (inlined embeds),
+ *   so [[#Heading]] points at that note; empty for the note being converted
+ */
+function convertObsidianLinks(content, baseDir, selfPath = '') {
+  // Match Obsidian wiki links: [[Note Name]] or [[Note Name|Alias]], but not embeds ![[...]]
+  const wikiLinkRegex = /(?<!!)\[\[([^\]]+)\]\]/g;
+  
+  // Links in code are examples, not links: they are left as written
+  return replaceOutsideCode(content, (chunk, start) => chunk.replace(wikiLinkRegex, (match, linkContent, offset) => {
+    const parsedLink = parseWikiLink(linkContent);
+    const noteName = parsedLink.noteName;
+    const anchor = getLinkAnchor(parsedLink);
+    
+    // Obsidian shows "Note > Heading" for links to a section or block
+    let displayText = parsedLink.alias;
+    if (!displayText) {
+      const subpath = parsedLink.heading || (parsedLink.blockId ? `^${parsedLink.blockId}` : null);
+      displayText = subpath
+        ? (noteName ? `${noteName} > ${subpath}` : subpath)
+        : noteName;
+    }
+    
+    // Link to a heading or block in the same note: [[#Heading]]
+    if (!noteName) {
+      return `[${displayText}](${selfPath}${anchor})`;
+    }
+    
+    // Try to find the actual file
+    const foundPath = findNoteFile(noteName, baseDir);
+    
+    if (foundPath) {
+      // Link to the note's path in the zip
+      return `[${displayText}](${getZipPath(foundPath)}${anchor})`;
+    } else {
+      // File not found, create a link anyway (reported as a broken link)
+      // Links to files keep their extension ([[paper.pdf]]), links to notes get .md
+      recordBrokenLink('wiki link', match, noteName, content, start + offset);
+      const isFileLink = /^\.[a-z0-9]+$/i.test(path.extname(noteName)) && !/\.(md|markdown)$/i.test(noteName);
+      const safeName = sanitizePathForLink(isFileLink ? noteName : noteName.replace(/\.(md|markdown)$/i, '') + '.md');
+      return `[${displayText}](${safeName}${anchor})`;
+    }
+  }));
+}
+
+/**
+ * Check if an embed target (![[...]]) refers to a note rather than a file
+ * Targets without an extension or with .md/.markdown are notes;
+ * dotted note names ("v1.2 Release") are notes if a matching markdown file exists
+ */
+function isNoteEmbed(noteName, baseDir) {
+  const ext = path.extname(noteName).toLowerCase();
+  if (ext === '' || ext === '.md' || ext === '.markdown') {
+    return true;
+  }
+  // findNoteFile also finds attachments linked with their extension: only markdown files are notes
+  const isNote = () => /\.(md|markdown)$/i.test(findNoteFile(noteName, baseDir) || '');
+  // Excalidraw drawings are notes: ![[Sketch.excalidraw]] embeds Sketch.excalidraw.md
+  if (ext === '.excalidraw' && isNote()) {
+    return true;
+  }
+  // Real file extensions are short and alphanumeric (.png, .pdf, .excalidraw)
+  if (/^\.[a-z0-9]+$/.test(ext)) {
+    return false;
+  }
+  return isNote();
+}
+
+/**
+ * Remove YAML frontmatter from note content
+ */
+function stripFrontmatter(content) {
+  return content.replace(/^---\s*\n[\s\S]*?\n---\s*(\n|$)/, '');
+}
+
+/**
+ * Extract a section (heading and everything up to the next heading of the same or higher level)
+ * @param {string} content - Note content without frontmatter
+ * @param {string} heading - Heading text from the link
+ * @returns {string|null} Section content, or null if the heading is not found
+ */
+function extractNoteSection(content, heading) {
+  const lines = content.split('\n');
+  const wantedSlug = slugifyHeading(heading);
+  let inFence = false;
+  let startIndex = -1;
+  let startLevel = 0;
+  
+  for (let i = 0; i < lines.length; i++) {
+    if (/^\s*```/.test(lines[i])) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      continue;
+    }
+    
+    const headingMatch = lines[i].match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!headingMatch) {
+      continue;
+    }
+    
+    const level = headingMatch[1].length;
+    if (startIndex < 0) {
+      if (slugifyHeading(headingMatch[2]) === wantedSlug) {
+        startIndex = i;
+        startLevel = level;
       }
-      
-      // If still not found, try recursive search in file's directory and subdirectories
-      if (!fullImagePath) {
-        const imageFileName = path.basename(cleanImagePath);
-        
-        // First, search in the file's directory and subdirectories (up to 5 levels)
-        const foundInFileDir = findFileRecursively(fileDir, imageFileName, 5, 0);
-        if (foundInFileDir) {
-          fullImagePath = foundInFileDir;
-        }
-        
-        // Then try attachments folder relative to current file
-        if (!fullImagePath) {
-          const attachmentsDir = path.join(fileDir, 'attachments');
-          if (fs.existsSync(attachmentsDir)) {
-            const found = findFileRecursively(attachmentsDir, imageFileName);
-            if (found) {
-              fullImagePath = found;
-            }
-          }
+    } else if (level <= startLevel) {
+      return lines.slice(startIndex, i).join('\n');
+    }
+  }
+  
+  return startIndex >= 0 ? lines.slice(startIndex).join('\n') : null;
+}
+
+/**
+ * Extract the block marked with ^block-id
+ * An ID at the end of a list item refers to that item, at the end of a paragraph to the paragraph,
+ * and on its own line to the block right above it (list, table, quote)
+ * @param {string} content - Note content without frontmatter
+ * @param {string} blockId - Block ID without the ^
+ * @returns {string|null} Block content, or null if the block ID is not found
+ */
+function extractNoteBlock(content, blockId) {
+  const lines = content.split('\n');
+  const escapedId = blockId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const idRegex = new RegExp(`(^|\\s)\\^${escapedId}\\s*$`);
+  
+  for (let i = 0; i < lines.length; i++) {
+    if (!idRegex.test(lines[i])) {
+      continue;
+    }
+    
+    const lineWithoutId = lines[i].replace(idRegex, '').trimEnd();
+    
+    // List item: only the item itself
+    if (/^\s*([-*+]|\d+[.)])\s/.test(lineWithoutId)) {
+      return lineWithoutId;
+    }
+    
+    // Walk back to the start of the paragraph / block
+    let start = i;
+    while (start > 0 && lines[start - 1].trim() !== '') {
+      start--;
+    }
+    
+    const blockLines = lines.slice(start, i);
+    if (lineWithoutId.trim() !== '') {
+      blockLines.push(lineWithoutId);
+    }
+    return blockLines.join('\n');
+  }
+  
+  return null;
+}
+
+/**
+ * Build the labelled link used for note embeds that are not inlined
+ */
+function createNoteEmbedLink(parsedLink, linkPath) {
+  const subpath = parsedLink.heading || (parsedLink.blockId ? `^${parsedLink.blockId}` : null);
+  const label = parsedLink.alias || (subpath ? `${parsedLink.noteName} > ${subpath}` : parsedLink.noteName);
+  return `[📄 Embedded: ${label}](${linkPath}${getLinkAnchor(parsedLink)})`;
+}
+
+/**
+ * Convert a note embed (![[Note]], ![[Note#Section]], ![[Note^block-id]])
+ * Depending on the noteEmbeds setting the embedded content is inlined or replaced by a labelled link
+ * Inlined content is converted like a page (links, nested embeds) with depth limit and cycle detection
+ * @param {object} parsedLink - Result of parseWikiLink
+ * @param {string} fileDir - Directory of the note containing the embed
+ * @param {Array<string>} embedStack - Keys of the notes/sections currently being inlined
+ * @param {object} [embed] - { link, text, offset } of the embed, for the broken-link report
+ * @returns {string} Markdown replacing the embed
+ */
+function convertNoteEmbed(parsedLink, fileDir, embedStack, embed = null) {
+  const notePath = findNoteFile(parsedLink.noteName, fileDir);
+  
+  if (!notePath) {
+    if (embed) {
+      recordBrokenLink('note embed', embed.link, parsedLink.noteName, embed.text, embed.offset);
+    }
+    const safeName = sanitizePathForLink(parsedLink.noteName.replace(/\.(md|markdown)$/i, '') + '.md');
+    return createNoteEmbedLink(parsedLink, safeName);
+  }
+  
+  const linkPath = getZipPath(notePath);
+  
+  // Drawings show their rendered image instead of their (compressed) drawing data
+  if (isExcalidrawFile(notePath)) {
+    return createDrawingEmbed(notePath, linkPath, parsedLink);
+  }
+  
+  if (run.settings.noteEmbeds !== 'inline') {
+    return createNoteEmbedLink(parsedLink, linkPath);
+  }
+  
+  // Cycle detection: the same note, section or block is already being inlined further up
+  // (other sections of a note on the stack can be inlined: Other#A -> Note -> Other#B is no cycle)
+  const embedKey = `${normalizePath(notePath)}${getLinkAnchor(parsedLink)}`;
+  if (embedStack.includes(embedKey)) {
+    recordWarning(`Embed cycle detected: ${parsedLink.noteName} (linked instead of inlined)`);
+    return createNoteEmbedLink(parsedLink, linkPath);
+  }
+  
+  if (embedStack.length > run.settings.maxEmbedDepth) {
+    recordWarning(`Embed depth limit (${run.settings.maxEmbedDepth}) reached: ${parsedLink.noteName} (linked instead of inlined)`);
+    return createNoteEmbedLink(parsedLink, linkPath);
+  }
+  
+  let embeddedContent;
+  try {
+    embeddedContent = stripFrontmatter(readNote(notePath));
+  } catch (err) {
+    recordWarning(`Could not read embedded note: ${notePath} (${err.message})`);
+    return createNoteEmbedLink(parsedLink, linkPath);
+  }
+  
+  if (parsedLink.heading) {
+    embeddedContent = extractNoteSection(embeddedContent, parsedLink.heading);
+  } else if (parsedLink.blockId) {
+    embeddedContent = extractNoteBlock(embeddedContent, parsedLink.blockId);
+  }
+  
+  if (embeddedContent === null) {
+    if (embed) {
+      const subpath = parsedLink.heading ? `#${parsedLink.heading}` : `^${parsedLink.blockId}`;
+      recordBrokenLink('note embed', embed.link, parsedLink.noteName + subpath, embed.text, embed.offset);
+    }
+    return createNoteEmbedLink(parsedLink, linkPath);
+  }
+  
+  // Block IDs belong to the original note; anchors are created there, not in the copy
+  // (only the ID and the whitespace before it are removed, the rest of the line stays as written)
+  const blockContent = embeddedContent;
+  embeddedContent = replaceOutsideCode(blockContent, (text, start) =>
+    text.replace(/(^|[ \t]+)\^[A-Za-z0-9-]+[ \t]*$/gm, (match, prefix, index) =>
+      isWholeLineEnd(blockContent, start + index, match, prefix) ? '' : match
+    )
+  );
+  
+  // Convert the embedded note relative to its own location
+  // (its broken links are reported when the embedded note itself is converted)
+  const noteDir = path.dirname(notePath);
+  const nestedStack = [...embedStack, embedKey];
+  const linkSource = run.linkSource;
+  run.linkSource = null;
+  try {
+    embeddedContent = convertComments(embeddedContent);
+    // Same-note links ([[#Heading]]) point at the embedded note, not at the page it is inlined in
+    embeddedContent = convertMarkdownLinks(embeddedContent, noteDir, linkPath);
+    embeddedContent = convertObsidianLinks(embeddedContent, noteDir, linkPath);
+    embeddedContent = convertImages(embeddedContent, noteDir, '', '', nestedStack);
+  } finally {
+    run.linkSource = linkSource;
+  }
+  
+  logDebug(`    📄 Inlined embedded note: ${parsedLink.noteName}${getLinkAnchor(parsedLink)}`);
+  return embeddedContent.trim();
+}
+
+/**
+ * Read the modifiers of a file embed: ![[diagram.png|400]], ![[diagram.png|400x300]],
+ * ![[diagram.png|Caption]] and ![[paper.pdf#page=3]]
+ * @param {object} parsedEmbed - Result of parseWikiLink (the file is its noteName, without the modifiers)
+ * @returns {object} { alt, width, height, page } - alt is null when the embed has no caption
+ */
+function parseEmbedModifiers(parsedEmbed) {
+  const modifiers = { alt: null, width: null, height: null, page: null };
+  
+  const size = parsedEmbed.alias && parsedEmbed.alias.match(/^(\d+)(?:x(\d+))?$/);
+  if (size) {
+    modifiers.width = Number(size[1]);
+    modifiers.height = size[2] ? Number(size[2]) : null;
+  } else if (parsedEmbed.alias) {
+    modifiers.alt = parsedEmbed.alias;
+  }
+  
+  const page = parsedEmbed.heading && parsedEmbed.heading.match(/(?:^|&)page=(\d+)/);
+  if (page) {
+    modifiers.page = Number(page[1]);
+  }
+  return modifiers;
+}
+
+/**
+ * Build the markdown for a file embed
+ * Sized images become <img> tags (markdown images have no size), a PDF page becomes a #page= fragment
+ * @param {string} name - Name shown for the file (alt text)
+ * @param {string} linkPath - Path of the file in the zip
+ * @param {object} modifiers - Result of parseEmbedModifiers
+ */
+function createFileEmbed(name, linkPath, modifiers) {
+  const alt = modifiers.alt || name;
+  if (modifiers.width) {
+    const height = modifiers.height ? ` height="${modifiers.height}"` : '';
+    return `<img src="${linkPath}" alt="${alt.replace(/"/g, '&quot;')}" width="${modifiers.width}"${height}>`;
+  }
+  if (modifiers.page) {
+    return `![${modifiers.alt || `${name} (page ${modifiers.page})`}](${linkPath}#page=${modifiers.page})`;
+  }
+  return `![${alt}](${linkPath})`;
+}
+
+/**
+ * Convert Obsidian image/embed syntax to standard markdown
+ * Handles: ![[image.png]] and ![alt](path), with Obsidian's size and page modifiers
+ * Sanitizes paths to match zip file paths (spaces -> underscores)
+ * Paths are relative to vault root to match zip structure
+ * Searches recursively in attachments folders and subfolders
+ * @param {string} content - Markdown content
+ * @param {string} fileDir - Full path to the directory containing the markdown file
+ * @param {string} fileRelativeDir - Relative path from vault root to the directory (for zip structure)
+ * @param {string} fileRelativePathInZip - Full relative path of the markdown file in zip (for calculating relative image paths)
+ * @param {Array<string>} embedStack - Notes currently being inlined (for note embed cycle detection)
+ */
+function convertImages(content, fileDir, fileRelativeDir = '', fileRelativePathInZip = '', embedStack = []) {
+  // Sanitize paths in regular markdown image syntax ![alt](path)
+  // This ensures all image paths match the sanitized paths in the zip
+  // Runs before embeds are converted so that converted embeds aren't resolved a second time
+  const markdownImageRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
+  // Images and embeds in code are examples: they are left as written
+  let processedContent = replaceOutsideCode(content, (chunk, start) => chunk.replace(markdownImageRegex, (match, altText, imagePath, offset) => {
+    // Skip if it's already been processed (starts with http/https or is a data URI)
+    if (imagePath.startsWith('http://') || imagePath.startsWith('https://') || imagePath.startsWith('data:')) {
+      return match;
+    }
+    
+    // Remove .md extension if incorrectly added to file path
+    // Some markdown files might have file paths like "image.png.md" or "document.pdf.md" which is wrong
+    let cleanImagePath = decodeLinkPath(imagePath);
+    if (cleanImagePath.toLowerCase().endsWith('.md')) {
+      // Check if it's actually a file with .md incorrectly appended
+      const withoutMd = cleanImagePath.slice(0, -3);
+      // List of known file extensions (images, documents, etc.)
+      const fileExts = [
+        // Images
+        '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp', '.ico', '.tiff', '.tif', '.heic', '.heif',
+        // Documents
+        '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp',
+        // Audio/Video
+        '.mp3', '.mp4', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.wma', '.avi', '.mov', '.wmv', '.flv', '.mkv', '.webm',
+        // Other
+        '.zip', '.rar', '.7z', '.tar', '.gz', '.txt', '.csv', '.json', '.xml', '.html', '.css', '.js'
+      ];
+      if (fileExts.some(ext => withoutMd.toLowerCase().endsWith(ext))) {
+        cleanImagePath = withoutMd;
+      }
+    }
+    
+    // Look up the file in the vault index (relative paths, vault paths, then by name)
+    const fullImagePath = resolveAttachment(cleanImagePath, fileDir);
+    
+    // Use the file's path in the zip (same mapping as the zip entries)
+    let sanitizedPath = sanitizePathForLink(cleanImagePath);
+    if (fullImagePath && !path.relative(run.vaultPath, fullImagePath).startsWith('..')) {
+      sanitizedPath = getZipPath(fullImagePath);
+    }
+    
+    // Debug: log markdown image path resolution
+    if (fullImagePath) {
+      logDebug(`    🖼️  Found markdown image: ${imagePath} -> ${sanitizedPath} (file: ${path.basename(fullImagePath)})`);
+    } else {
+      recordBrokenLink('image', match, cleanImagePath, content, start + offset);
+    }
+    
+    // Obsidian puts the size in the alt text: ![alt|400](path), ![400x300](path)
+    const size = altText.match(/^(?:(.*?)\|)?(\d+)(?:x(\d+))?$/);
+    if (size) {
+      const modifiers = { alt: size[1] || null, width: Number(size[2]), height: size[3] ? Number(size[3]) : null, page: null };
+      return createFileEmbed(path.basename(cleanImagePath, path.extname(cleanImagePath)), sanitizedPath, modifiers);
+    }
+    
+    return `![${altText}](${sanitizedPath})`;
+  }));
+  
+  // Convert Obsidian embed syntax ![[image.png]] to standard markdown
+  const embedRegex = /!\[\[([^\]]+)\]\]/g;
+  
+  const fullContent = processedContent;
+  processedContent = replaceOutsideCode(fullContent, (chunk, start) => chunk.replace(embedRegex, (match, embedContent, chunkOffset) => {
+    const offset = start + chunkOffset;
+    // Note embeds (![[Note]], ![[Note#Section]], ![[Note^block-id]]) are transcluded, not treated as files
+    const parsedEmbed = parseWikiLink(embedContent);
+    if (parsedEmbed.noteName && isNoteEmbed(parsedEmbed.noteName, fileDir)) {
+      let noteEmbed = convertNoteEmbed(parsedEmbed, fileDir, embedStack, { link: match, text: fullContent, offset });
+      // Inlined multi-line content can't stay in the middle of a line
+      if (noteEmbed.includes('\n') || noteEmbed.startsWith('#')) {
+        if (offset > 0 && fullContent[offset - 1] !== '\n') {
+          noteEmbed = '\n\n' + noteEmbed;
         }
-        
-        // Try vault root attachments folder if still not found
-        if (!fullImagePath) {
-          const vaultAttachmentsDir = path.join(vaultPath, 'attachments');
-          if (fs.existsSync(vaultAttachmentsDir)) {
-            const found = findFileRecursively(vaultAttachmentsDir, imageFileName);
-            if (found) {
-              fullImagePath = found;
-            }
-          }
+        const nextChar = fullContent[offset + match.length];
+        if (nextChar !== undefined && nextChar !== '\n') {
+          noteEmbed += '\n\n';
         }
-        
-        // Finally, search in the root folder of the current file (e.g., SIGEO folder)
-        if (!fullImagePath) {
-          let currentDir = fileDir;
-          let rootFolder = null;
-          for (let i = 0; i < 10; i++) {
-            const parentDir = path.dirname(currentDir);
-            if (normalizePath(parentDir) === normalizePath(vaultPath)) {
-              rootFolder = currentDir;
-              break;
-            }
-            currentDir = parentDir;
-          }
-          
-          if (rootFolder) {
-            const foundInRootFolder = findFileRecursively(rootFolder, imageFileName, 10, 0);
-            if (foundInRootFolder) {
-              fullImagePath = foundInRootFolder;
-            }
-          }
+      }
+      return noteEmbed;
+    }
+    
+    // The file without its modifiers (|400, |400x300, |caption, #page=3)
+    const imagePath = parsedEmbed.noteName;
+    const modifiers = parseEmbedModifiers(parsedEmbed);
+    
+    // Look up the file in the vault index (exact path first, then by name)
+    const fullImagePath = resolveAttachment(imagePath, fileDir);
+    
+    if (fullImagePath) {
+      // Calculate path relative to vault root (for zip structure)
+      const relativePath = path.relative(run.vaultPath, fullImagePath);
+      
+      // Use the file's path in the zip; images outside the vault keep the original path (sanitized)
+      const sanitizedPath = relativePath.startsWith('..')
+        ? sanitizePathForLink(imagePath)
+        : getZipPath(fullImagePath);
+      
+      // Debug: log ALL image path resolution
+      logDebug(`    🖼️  Found image: ${imagePath} -> ${sanitizedPath} (file: ${path.basename(fullImagePath)})`);
+      
+      // Ensure the path matches exactly how it's stored in the zip
+      // The path should be relative to vault root and sanitized
+      return createFileEmbed(path.basename(imagePath, path.extname(imagePath)), sanitizedPath, modifiers);
+    } else {
+      // Reported as a broken link
+      recordBrokenLink('embed', match, imagePath, fullContent, offset);
+      // Image not found, but try to construct a valid path
+      // If it's a relative path, make it relative to vault root
+      let imagePathToUse = imagePath;
+      if (!path.isAbsolute(imagePath) && !imagePath.startsWith('http://') && !imagePath.startsWith('https://')) {
+        // Try to construct path relative to vault root
+        const possiblePath = path.join(fileDir, imagePath);
+        const relativeFromVault = path.relative(run.vaultPath, possiblePath);
+        if (!relativeFromVault.startsWith('..')) {
+          imagePathToUse = relativeFromVault.replace(/\\/g, '/');
         }
-        
-        // Last resort: search entire vault
-        if (!fullImagePath) {
-          const foundInVault = findFileRecursively(vaultPath, imageFileName, 10, 0);
-          if (foundInVault) {
-            fullImagePath = foundInVault;
+      }
+      let sanitizedPath = sanitizePathForLink(imagePathToUse);
+      // Ensure path uses forward slashes (not backslashes) - critical for Anytype
+      sanitizedPath = sanitizedPath.replace(/\\/g, '/');
+      return createFileEmbed(path.basename(imagePath), sanitizedPath, modifiers);
+    }
+  }));
+  
+  return processedContent;
+}
+
+/**
+ * Normalize path for comparison
+ */
+function normalizePath(p) {
+  return path.resolve(p).toLowerCase();
+}
+
+/**
+ * Check if a directory is a root-level folder (direct child of root)
+ */
+function isRootLevelFolder(dirPath, rootPath = null) {
+  const normalizedPath = normalizePath(dirPath);
+  const effectiveRoot = rootPath || run.vaultPath;
+  const normalizedRootPath = normalizePath(effectiveRoot);
+  const parentDir = path.dirname(dirPath);
+  const normalizedParentDir = normalizePath(parentDir);
+  
+  return normalizedParentDir === normalizedRootPath;
+}
+
+/**
+ * Get the root Set that a directory belongs to (for exports)
+ * Returns the root-level Set name, or null if not under any Set
+ * ALL root-level folders are Sets (not just those with markdown files)
+ */
+function getRootSetForPathExport(dirPath, exportRootPath) {
+  const normalizedPath = normalizePath(dirPath);
+  const normalizedRootPath = normalizePath(exportRootPath);
+  
+  // If this is the export root, no Set
+  if (normalizedPath === normalizedRootPath) {
+    return null;
+  }
+  
+  // If this is a root-level folder, it's a Set (if not deleted)
+  if (isRootLevelFolder(dirPath, exportRootPath)) {
+    const dirName = path.basename(dirPath);
+    // All root folders are Sets, just check if not deleted
+    if (!isDeleted(dirPath, dirName)) {
+      return dirName;
+    }
+    return null;
+  }
+  
+  // Otherwise, walk up to find the root-level folder
+  let currentDir = dirPath;
+  while (true) {
+    const parentDir = path.dirname(currentDir);
+    const normalizedParentDir = normalizePath(parentDir);
+    
+    if (normalizedParentDir === normalizedRootPath) {
+      // Found the root-level folder
+      const dirName = path.basename(currentDir);
+      // All root folders are Sets, just check if not deleted
+      if (!isDeleted(currentDir, dirName)) {
+        return dirName;
+      }
+      return null;
+    }
+    
+    currentDir = parentDir;
+    
+    // Safety check to avoid infinite loop
+    if (normalizedPath === normalizePath(currentDir)) {
+      break;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the root Set that a directory belongs to
+ * Returns the root-level Set name, or null if not under any Set
+ * ALL root-level folders are Sets (not just those with markdown files)
+ */
+function getRootSetForPath(dirPath) {
+  return getRootSetForPathExport(dirPath, run.vaultPath);
+}
+
+/**
+ * Get or create Set info for a directory path (for exports)
+ * ALL root-level folders are Sets (regardless of markdown files)
+ */
+function getSetInfoForExport(dirPath, relativePath, exportRootPath) {
+  const normalizedPath = normalizePath(dirPath);
+  const cacheKey = `${normalizedPath}_${normalizePath(exportRootPath)}`;
+  if (run.sets.has(cacheKey)) {
+    return run.sets.get(cacheKey);
+  }
+  
+  const dirName = path.basename(dirPath);
+  const normalizedRootPath = normalizePath(exportRootPath);
+  
+  // Check if deleted (the folder name matches one of the trashPatterns, not path content)
+  if (isDeleted(dirPath, dirName)) {
+    const setInfo = {
+      name: dirName || 'Root',
+      path: dirPath,
+      relativePath: relativePath || '',
+      isRootSet: false,
+      rootSet: null,
+      setFileName: relativePath ? `${relativePath.replace(/\\/g, '/')}/.set.md` : '.set.md',
+      isDeleted: true
+    };
+    run.sets.set(cacheKey, setInfo);
+    return setInfo;
+  }
+  
+  // ALL root-level folders are Sets (not just those with markdown files)
+  const isRootLevel = isRootLevelFolder(dirPath, exportRootPath);
+  const isRootSet = isRootLevel;
+  
+  const setInfo = {
+    name: dirName || 'Root',
+    path: dirPath,
+    relativePath: relativePath || '',
+    isRootSet: isRootSet,
+    rootSet: isRootSet ? dirName : getRootSetForPathExport(dirPath, exportRootPath),
+    setFileName: relativePath ? `${relativePath.replace(/\\/g, '/')}/.set.md` : '.set.md',
+    isDeleted: false
+  };
+  
+  run.sets.set(cacheKey, setInfo);
+  return setInfo;
+}
+
+/**
+ * Get or create Set info for a directory path
+ * ALL root-level folders are Sets (regardless of markdown files)
+ */
+function getSetInfo(dirPath, relativePath) {
+  return getSetInfoForExport(dirPath, relativePath, run.vaultPath);
+}
+
+/**
+ * Check if a directory has any markdown files (recursively)
+ */
+function hasMarkdownFilesInDir(dirPath) {
+  try {
+    const entries = readDirEntries(dirPath);
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      
+      // Skip hidden files, Set files, and deleted items
+      if (entry.name.startsWith('.') && entry.name !== '.' && entry.name !== '.set.md') {
+        continue;
+      }
+      
+      if (entry.name === '.set.md') {
+        continue;
+      }
+      
+      if (isDeleted(fullPath, entry.name)) {
+        continue;
+      }
+      
+      if (entry.isFile()) {
+        const ext = path.extname(entry.name).toLowerCase();
+        if (ext === '.md' || ext === '.markdown') {
+          // Only a note that can be read counts (stats come from prefetchVault)
+          try {
+            getFileStats(fullPath);
+            return true;
+          } catch (err) {
+            // Keep looking
+          }
+        }
+      } else if (entry.isDirectory()) {
+        // Recursively check subdirectories
+        if (hasMarkdownFilesInDir(fullPath)) {
+          return true;
+        }
+      }
+    }
+  } catch (err) {
+    // If we can't read, assume no files
+  }
+  return false;
+}
+
+/**
+ * Sanitize path for markdown links by replacing spaces with underscores
+ * Characters that end or split a markdown link target (#, ?, %, brackets, parentheses) are replaced too
+ * This ensures links work correctly in markdown
+ */
+function sanitizePathForLink(filePath) {
+  // Normalize path separators to forward slashes first
+  let normalizedPath = filePath.replace(/\\/g, '/');
+  // Split path into components, replace spaces in each component, then rejoin
+  const pathParts = normalizedPath.split('/');
+  return pathParts.map(part => part.replace(/\s+/g, '_').replace(/[#?%()[\]<>]/g, '_')).join('/');
+}
+
+/**
+ * Build folder structure with heading hierarchy (h1, h2, h3, etc.)
+ * Returns formatted content with headings for folders respecting folder path depth
+ * headingLevel is the starting level (e.g., 2 for h2)
+ * @param {string} dirPath - Full path to the directory
+ * @param {string} vaultRootPath - Root path of the vault
+ * @param {number} headingLevel - Starting heading level (default: 2 for h2)
+ * @param {number} maxDepth - Maximum depth to traverse (default: 10)
+ * @param {number} currentDepth - Current depth (internal use)
+ * @param {string} relativePathPrefix - Relative path prefix for this directory in zip (for accurate link generation)
+ */
+function buildFolderStructure(dirPath, vaultRootPath, headingLevel = 2, maxDepth = 10, currentDepth = 0, relativePathPrefix = '') {
+  if (currentDepth >= maxDepth) {
+    return '';
+  }
+  
+  try {
+    const entries = readDirEntries(dirPath);
+    const content = [];
+    
+    // Separate directories and files
+    const directories = [];
+    const files = [];
+    
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      
+      // Skip hidden files, Set files, and deleted items
+      if (entry.name.startsWith('.') && entry.name !== '.' && entry.name !== '.set.md') {
+        continue;
+      }
+      
+      if (entry.name === '.set.md') {
+        continue;
+      }
+      
+      if (isDeleted(fullPath, entry.name)) {
+        continue;
+      }
+      
+      if (entry.isDirectory()) {
+        // Folders matching --exclude are skipped entirely
+        if (!isExcludedByPattern(fullPath)) {
+          directories.push(entry);
+        }
+      } else if (entry.isFile() && shouldIncludeFile(fullPath)) {
+        files.push(entry);
+      }
+    }
+    
+    // Sort for consistent output
+    directories.sort((a, b) => a.name.localeCompare(b.name));
+    files.sort((a, b) => a.name.localeCompare(b.name));
+    
+    // Add directories as headings
+    for (const entry of directories) {
+      const fullPath = path.join(dirPath, entry.name);
+      
+      // Skip attachments folders
+      if (isAttachmentsFolderName(entry.name)) {
+        continue;
+      }
+      
+      // Calculate heading level based on actual folder depth from vault root
+      // This ensures headings respect the folder path structure
+      const folderRelativePath = path.relative(vaultRootPath, fullPath);
+      const depth = folderRelativePath.split(path.sep).filter(p => p && p !== '.').length;
+      const folderHeadingLevel = Math.min(headingLevel + depth - 1, 6); // Max h6, -1 because we want h2 for root folders
+      
+      // Create heading based on calculated depth
+      const heading = '#'.repeat(folderHeadingLevel);
+      content.push(`${heading} ${entry.name}\n`);
+      
+      // Calculate relative path prefix for subdirectory (matches how it's stored in zip)
+      const subRelativePath = relativePathPrefix 
+        ? path.join(relativePathPrefix, entry.name).replace(/\\/g, '/')
+        : path.relative(vaultRootPath, fullPath).replace(/\\/g, '/');
+      
+      // Recursively add subdirectory structure
+      const subContent = buildFolderStructure(fullPath, vaultRootPath, headingLevel, maxDepth, currentDepth + 1, subRelativePath);
+      if (subContent) {
+        content.push(subContent);
+      }
+    }
+    
+    // Add leaf files as links (only markdown files and canvases)
+    for (const entry of files) {
+      const ext = path.extname(entry.name).toLowerCase();
+      
+      // Only process markdown files and canvases (leaf pages)
+      if (ext !== '.md' && ext !== '.markdown' && ext !== '.canvas') {
+        continue;
+      }
+      
+      const fullPath = path.join(dirPath, entry.name);
+      
+      // Verify file exists and is actually a file (not a directory); stats come from prefetchVault
+      try {
+        const stats = getFileStats(fullPath);
+        if (!stats.isFile()) {
+          continue;
+        }
+      } catch (err) {
+        continue;
+      }
+      
+      // Use the same path mapping as the zip entries
+      // This ensures links match exactly how files are stored
+      const sanitizedPath = getZipPath(fullPath);
+      const displayName = path.basename(entry.name, ext);
+      // Use the sanitized path that matches exactly how the file is stored in the zip
+      content.push(`- [${displayName}](${sanitizedPath})\n`);
+    }
+    
+    return content.length > 0 ? content.join('') : '';
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Create formatted page for folder structure
+ * Uses heading hierarchy (h1, h2, h3) for folders and links to leaf pages
+ */
+function createSetFile(setInfo) {
+  // Create a page (not a Set) with folder structure
+  const frontmatter = {
+    type: 'Page',
+    name: setInfo.name
+  };
+  
+  const frontmatterStr = '---\n' + 
+    Object.entries(frontmatter)
+      .map(([key, value]) => `${key}: ${typeof value === 'string' ? `"${value}"` : value}`)
+      .join('\n') + 
+    '\n---\n\n';
+  
+  // Build folder structure with heading hierarchy
+  // Start with h1 for the root folder name
+  let content = `# ${setInfo.name}\n\n`;
+  
+  // Build folder structure starting from h2 (subfolders)
+  const folderStructure = buildFolderStructure(setInfo.path, setInfo.path, 2);
+  
+  if (folderStructure) {
+    content += folderStructure;
+  } else {
+    content += `*No subfolders or pages found.*\n`;
+  }
+  
+  return frontmatterStr + content;
+}
+
+/**
+ * Check if a file path is directly in a root folder (not in a subfolder)
+ * Compares the file's directory path with the vault root to determine if it's a root-level folder
+ */
+function isDirectlyInRootFolder(filePath) {
+  if (!filePath) return false;
+  try {
+    const fileDir = path.dirname(filePath);
+    const normalizedFileDir = normalizePath(fileDir);
+    const normalizedVaultPath = normalizePath(run.vaultPath);
+    
+    // If file is in vault root, it's not in a root folder
+    if (normalizedFileDir === normalizedVaultPath) {
+      return false;
+    }
+    
+    // Check if the file's directory is a root-level folder (direct child of vault)
+    return isRootLevelFolder(fileDir, run.vaultPath);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Highlight tags in markdown content by making them bold
+ * Converts #tag to **#tag** for better visibility
+ * @param {string} content - Markdown content
+ * @returns {string} Content with highlighted tags
+ */
+function highlightTags(content) {
+  // Frontmatter is YAML, not markdown: leave "#" values (colors, tags lists) untouched
+  const frontmatterMatch = content.match(/^---\s*\n[\s\S]*?\n---\s*\n/);
+  if (frontmatterMatch) {
+    return frontmatterMatch[0] + highlightTags(content.substring(frontmatterMatch[0].length));
+  }
+  
+  // Match Obsidian tags: #tag or #tag/subtag
+  // Tags must be:
+  // - At start of line, or after whitespace/punctuation (not part of a word)
+  // - Followed by whitespace, punctuation, or end of line (not part of a word)
+  // Tags can contain: alphanumeric, underscores, hyphens, and slashes
+  const tagRegex = /(?:^|[\s\W])(#([a-zA-Z0-9_\-/]+))(?=[\s\W]|$)/g;
+  
+  // Split content by code blocks and link targets to avoid highlighting tags in code
+  // or in anchors of converted links ([Goals](#goals))
+  const codeBlockRegex = /```[\s\S]*?```|`[^`]+`|\]\((?:<[^>\n]*>|[^)\s]*)(?:\s+"[^"\n]*")?\)/g;
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+  
+  // Extract non-code parts
+  while ((match = codeBlockRegex.exec(content)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push({
+        text: content.substring(lastIndex, match.index),
+        start: lastIndex,
+        end: match.index
+      });
+    }
+    parts.push({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      isCode: true
+    });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < content.length) {
+    parts.push({
+      text: content.substring(lastIndex),
+      start: lastIndex,
+      end: content.length
+    });
+  }
+  
+  // If no code blocks found, use entire content
+  if (parts.length === 0) {
+    parts.push({
+      text: content,
+      start: 0,
+      end: content.length
+    });
+  }
+  
+  // Process each part
+  const processedParts = parts.map(part => {
+    if (part.isCode) {
+      // Don't modify code blocks
+      return part.text;
+    }
+    
+    // Highlight tags in non-code parts
+    let processedText = part.text;
+    // Reset regex lastIndex
+    tagRegex.lastIndex = 0;
+    const replacements = [];
+    
+    // Find all tag matches
+    let tagMatch;
+    while ((tagMatch = tagRegex.exec(part.text)) !== null) {
+      const fullMatch = tagMatch[0]; // Includes preceding char (space/punctuation)
+      const tagWithHash = tagMatch[1]; // The #tag part
+      const tagName = tagMatch[2]; // Just the tag name
+      
+      // Only highlight if not already bold
+      if (!part.text.substring(Math.max(0, tagMatch.index - 2), tagMatch.index + tagMatch[0].length + 2).includes('**')) {
+        replacements.push({
+          index: tagMatch.index,
+          length: tagMatch[0].length,
+          replacement: fullMatch.replace(tagWithHash, `**${tagWithHash}**`)
+        });
+      }
+    }
+    
+    // Apply replacements in reverse order to maintain indices
+    replacements.reverse().forEach(repl => {
+      processedText = processedText.substring(0, repl.index) + 
+                      repl.replacement + 
+                      processedText.substring(repl.index + repl.length);
+    });
+    
+    return processedText;
+  });
+  
+  return processedParts.join('');
+}
+
+/**
+ * Extract tags from markdown content
+ * Handles Obsidian tags: #tag, #tag/subtag, #tag/subtag/subsubtag
+ * Tags can appear at start of line, after whitespace, or standalone
+ * @param {string} content - Markdown content
+ * @returns {Array<string>} Array of unique tags
+ */
+function extractTags(content) {
+  const tags = new Set();
+  
+  // Frontmatter tags are read from the parsed YAML (see addPageMetadata), not from the text
+  content = stripFrontmatter(content);
+  
+  // Match Obsidian tags: #tag or #tag/subtag
+  // Tags must be:
+  // - At start of line, or after whitespace/punctuation (not part of a word)
+  // - Followed by whitespace, punctuation, or end of line (not part of a word)
+  // Tags can contain: alphanumeric, underscores, hyphens, and slashes
+  // This regex ensures tags are standalone, not embedded in words
+  const tagRegex = /(?:^|[\s\W])#([a-zA-Z0-9_\-/]+)(?=[\s\W]|$)/g;
+  
+  // Split content by code blocks and link targets to avoid matching tags in code
+  // or in anchors of converted links ([Goals](#goals))
+  const codeBlockRegex = /```[\s\S]*?```|`[^`]+`|\]\((?:<[^>\n]*>|[^)\s]*)(?:\s+"[^"\n]*")?\)/g;
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+  
+  // Extract non-code parts
+  while ((match = codeBlockRegex.exec(content)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push(content.substring(lastIndex, match.index));
+    }
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < content.length) {
+    parts.push(content.substring(lastIndex));
+  }
+  
+  // If no code blocks found, use entire content
+  const textToSearch = parts.length > 0 ? parts.join('') : content;
+  
+  // Extract tags from non-code parts
+  let tagMatch;
+  // Reset regex lastIndex to ensure we search from the beginning
+  tagRegex.lastIndex = 0;
+  while ((tagMatch = tagRegex.exec(textToSearch)) !== null) {
+    const tag = tagMatch[1];
+    if (tag && tag.length > 0) {
+      // Normalize tag (trim and ensure it's valid)
+      const normalizedTag = tag.trim();
+      if (normalizedTag.length > 0) {
+        tags.add(normalizedTag);
+      }
+    }
+  }
+  
+  return Array.from(tags).sort();
+}
+
+/**
+ * Split a note into its YAML frontmatter document and body
+ * The document keeps comments, formatting and value types so it can be re-emitted unchanged
+ * @param {string} content - Note content
+ * @param {string} filePath - Path of the note (for warnings)
+ * @returns {{doc: object|null, data: object, body: string, raw: string|null}}
+ *   doc is null when there is no frontmatter or it isn't a valid YAML mapping; raw is the original frontmatter text
+ */
+function parseFrontmatter(content, filePath = null) {
+  const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n/;
+  const match = content.match(frontmatterRegex);
+  if (!match) {
+    return { doc: null, data: {}, body: content, raw: null };
+  }
+  
+  const body = content.substring(match[0].length);
+  const doc = YAML.parseDocument(match[1]);
+  const data = doc.errors.length === 0 ? doc.toJS() : null;
+  
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    if (filePath) {
+      const reason = doc.errors.length > 0 ? doc.errors[0].message.split('\n')[0] : 'not a key/value mapping';
+      recordWarning(`Invalid frontmatter in ${path.basename(filePath)}: ${reason}`);
+    }
+    return { doc: null, data: {}, body: body, raw: match[1] };
+  }
+  
+  return { doc: doc, data: data, body: body, raw: match[1] };
+}
+
+/**
+ * Serialize a frontmatter document back to a --- delimited block
+ */
+function serializeFrontmatter(doc) {
+  return '---\n' + doc.toString({ lineWidth: 0, flowCollectionPadding: false }) + '---\n';
+}
+
+/**
+ * Set a key in a frontmatter document
+ * Strings written by the converter are double-quoted (as Anytype's importer expects them)
+ */
+function setFrontmatterValue(doc, key, value) {
+  const node = doc.createNode(value);
+  if (YAML.isScalar(node) && typeof value === 'string') {
+    node.type = 'QUOTE_DOUBLE';
+  } else if (YAML.isSeq(node)) {
+    node.items.forEach(item => {
+      if (YAML.isScalar(item) && typeof item.value === 'string') {
+        item.type = 'QUOTE_DOUBLE';
+      }
+    });
+  }
+  doc.set(key, node);
+}
+
+/**
+ * Read the tags already declared in frontmatter
+ * Obsidian accepts a list, or a string with comma/space separated tags; leading # is optional
+ */
+function getFrontmatterTags(value) {
+  let tags = [];
+  if (Array.isArray(value)) {
+    tags = value.map(t => typeof t === 'string' ? t : (t && (t.name || t.id)) || String(t));
+  } else if (value && typeof value === 'object') {
+    tags = Object.keys(value);
+  } else if (value !== null && value !== undefined) {
+    tags = String(value).split(/[,\s]+/);
+  }
+  return tags.map(t => String(t).trim().replace(/^#/, '')).filter(t => t.length > 0);
+}
+
+// Obsidian property type -> Anytype relation format
+const OBSIDIAN_PROPERTY_FORMATS = {
+  text: 'text',
+  number: 'number',
+  date: 'date',
+  datetime: 'datetime',
+  checkbox: 'checkbox',
+  multitext: 'multi-select',
+  tags: 'multi-select',
+  aliases: 'multi-select'
+};
+
+// Formats a property can be given in the propertyTypes setting (Obsidian type names are accepted too)
+const RELATION_FORMATS = ['text', 'number', 'date', 'datetime', 'checkbox', 'multi-select', 'object', 'multitext', 'tags'];
+
+// Keys written by the converter itself (not user properties)
+const CONVERTER_PROPERTY_KEYS = ['type', 'set', 'section', 'tags', CANVAS_RELATION];
+
+/**
+ * Get the Anytype relation format for a frontmatter property
+ * The propertyTypes setting wins over .obsidian/types.json; unknown properties return null
+ */
+function getPropertyFormat(key) {
+  const overrides = run.settings.propertyTypes;
+  const overrideKey = Object.keys(overrides).find(k => k.toLowerCase() === key.toLowerCase());
+  if (overrideKey) {
+    const override = overrides[overrideKey];
+    return OBSIDIAN_PROPERTY_FORMATS[override] || override;
+  }
+  
+  const propertyTypes = getVaultIndex().propertyTypes;
+  const typeKey = Object.keys(propertyTypes).find(k => k.toLowerCase() === key.toLowerCase());
+  return typeKey ? (OBSIDIAN_PROPERTY_FORMATS[propertyTypes[typeKey]] || null) : null;
+}
+
+/**
+ * Check if a property value is a single wiki link ("[[Note]]" or "[[Note|Alias]]")
+ */
+function isWikiLinkValue(value) {
+  return typeof value === 'string' && /^\s*\[\[[^\]]+\]\]\s*$/.test(value);
+}
+
+/**
+ * Convert a wiki link property value to the zip path of the note it points to
+ * Anytype links the relation to the imported object with that path
+ */
+function wikiLinkToObjectPath(value, baseDir) {
+  const parsedLink = parseWikiLink(value.trim().slice(2, -2));
+  const notePath = parsedLink.noteName ? findNoteFile(parsedLink.noteName, baseDir) : null;
+  if (notePath) {
+    return getZipPath(notePath);
+  }
+  return sanitizePathForLink(parsedLink.noteName.replace(/\.(md|markdown)$/i, '') + '.md');
+}
+
+/**
+ * Format a date property as YYYY-MM-DD (date) or YYYY-MM-DDTHH:MM:SS (datetime)
+ * @returns {string|null} Formatted date, or null if the value isn't a date
+ */
+function formatPropertyDate(value, withTime) {
+  const text = value instanceof Date ? value.toISOString() : String(value).trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) {
+    return null;
+  }
+  
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00'] = match;
+  return withTime
+    ? `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`
+    : `${year}-${month}-${day}`;
+}
+
+/**
+ * Convert a property value to its relation format
+ * @returns {{value: *, ok: boolean}} Converted value; ok is false if the value doesn't fit the format
+ */
+function convertPropertyValue(value, format, baseDir) {
+  switch (format) {
+    case 'number': {
+      if (typeof value === 'number') {
+        return { value, ok: true };
+      }
+      const number = Number(String(value).trim());
+      return String(value).trim() !== '' && Number.isFinite(number)
+        ? { value: number, ok: true }
+        : { value, ok: false };
+    }
+    case 'checkbox': {
+      if (typeof value === 'boolean') {
+        return { value, ok: true };
+      }
+      const text = String(value).trim().toLowerCase();
+      if (['true', 'yes', 'on', '1'].includes(text)) return { value: true, ok: true };
+      if (['false', 'no', 'off', '0', ''].includes(text)) return { value: false, ok: true };
+      return { value, ok: false };
+    }
+    case 'date':
+    case 'datetime': {
+      const date = formatPropertyDate(value, format === 'datetime');
+      return date ? { value: date, ok: true } : { value, ok: false };
+    }
+    case 'multi-select': {
+      const items = Array.isArray(value) ? value : String(value).split(',');
+      return {
+        value: items
+          .filter(item => item !== null && item !== undefined)
+          .map(item => isWikiLinkValue(item) ? wikiLinkToObjectPath(item, baseDir) : String(item).trim())
+          .filter(item => item.length > 0),
+        ok: true
+      };
+    }
+    case 'object': {
+      const items = Array.isArray(value) ? value : [value];
+      const paths = items
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => isWikiLinkValue(item)
+          ? wikiLinkToObjectPath(item, baseDir)
+          : wikiLinkToObjectPath(`[[${item.trim()}]]`, baseDir));
+      return { value: Array.isArray(value) ? paths : (paths[0] || value), ok: true };
+    }
+    default:
+      return { value, ok: true };
+  }
+}
+
+/**
+ * Rewrite frontmatter properties so Anytype imports them as relations of the right format
+ * Formats come from .obsidian/types.json and the propertyTypes setting:
+ * dates as YYYY-MM-DD, numbers and checkboxes unquoted, multitext/tags as lists,
+ * and wiki links ("[[Note]]") as paths of the linked objects
+ * Properties without a known type only get their wiki links converted
+ * @param {object} doc - Frontmatter document (modified in place)
+ * @param {object} data - Plain values of the frontmatter
+ * @param {string} filePath - Path of the note (for link resolution and warnings)
+ */
+function applyPropertyTypes(doc, data, filePath) {
+  const baseDir = filePath ? path.dirname(filePath) : run.vaultPath;
+  
+  for (const [key, value] of Object.entries(data)) {
+    if (CONVERTER_PROPERTY_KEYS.includes(key) || value === null || value === undefined) {
+      continue;
+    }
+    
+    let format = getPropertyFormat(key);
+    if (!format || format === 'text') {
+      // Untyped and text properties holding only links become object relations
+      const items = Array.isArray(value) ? value : [value];
+      if (items.length === 0 || !items.every(isWikiLinkValue)) {
+        continue;
+      }
+      format = 'object';
+    }
+    
+    const converted = convertPropertyValue(value, format, baseDir);
+    if (!converted.ok) {
+      if (filePath) {
+        recordWarning(`Property "${key}" in ${path.basename(filePath)} is not a valid ${format}: ${JSON.stringify(value)}`);
+      }
+      continue;
+    }
+    
+    if (JSON.stringify(converted.value) === JSON.stringify(value)) {
+      continue;
+    }
+    
+    // Dates are written unquoted so Anytype recognizes them; other strings keep default quoting
+    const node = doc.createNode(converted.value);
+    if (YAML.isScalar(node) && (format === 'date' || format === 'datetime')) {
+      node.type = 'PLAIN';
+    }
+    doc.set(key, node);
+  }
+}
+
+/**
+ * Get the Anytype object type for a `type` value from a note's frontmatter
+ * Accepts plain names and links to a type note ([[Meeting]], or [Meeting](...) once links are converted)
+ * @param {*} value - Frontmatter `type` value
+ * @returns {string|null} Anytype type name, or null if the value isn't a usable type name
+ */
+function mapObsidianType(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  
+  const typeName = value.trim()
+    .replace(/^\[\[([^\]|#]+)(?:[^\]]*)\]\]$/, '$1')
+    .replace(/^\[([^\]]+)\]\([^)]*\)$/, '$1')
+    .trim();
+  if (!typeName) {
+    return null;
+  }
+  
+  const typeMapping = run.settings.typeMapping;
+  const mappingKey = Object.keys(typeMapping).find(key => key.toLowerCase() === typeName.toLowerCase());
+  return mappingKey ? typeMapping[mappingKey] : typeName;
+}
+
+/**
+ * Add Set and Page metadata to note content
+ * Notes that already declare a `type` keep it (mapped through typeMapping, see the typeMode setting)
+ * Otherwise pages in folders use type "SetLeaf"
+ * Root-level pages use type "Page"
+ * Also extracts and adds tags to frontmatter
+ * Existing frontmatter is parsed as YAML and re-emitted with its types, structure and comments;
+ * the converter's keys are merged on top
+ */
+function addPageMetadata(content, setInfo, filePath = null) {
+  // Extract tags from content
+  const tags = extractTags(content);
+  
+  // Debug: log tags found (only for files with tags)
+  if (tags.length > 0 && filePath) {
+    logDebug(`    🏷️  Tags found in ${path.basename(filePath)}: ${tags.join(', ')}`);
+  }
+  
+  // Determine type based on actual file path:
+  // - SetLeaf if in any folder (has a rootSet)
+  // - Page if root-level (no Set, file is in vault root)
+  let pageType = 'Page';
+  if (setInfo && setInfo.rootSet) {
+    // All pages in folders use SetLeaf (removed setRoots type)
+    pageType = 'SetLeaf';
+  }
+  
+  const frontmatter = parseFrontmatter(content, filePath);
+  
+  // A type declared in the note wins over Page/SetLeaf
+  if (run.settings.typeMode === 'map') {
+    const existingType = mapObsidianType(frontmatter.data.type);
+    if (existingType) {
+      if (filePath && existingType !== frontmatter.data.type) {
+        logDebug(`    🔖 Type of ${path.basename(filePath)}: ${frontmatter.data.type} -> ${existingType}`);
+      }
+      pageType = existingType;
+    }
+  }
+  
+  let doc = frontmatter.doc;
+  if (!doc) {
+    doc = new YAML.Document({});
+    // Keep unparseable frontmatter as comments so nothing is lost
+    if (frontmatter.raw !== null && frontmatter.raw.trim()) {
+      doc.commentBefore = frontmatter.raw.split('\n').map(line => ` ${line}`).join('\n');
+    }
+  } else {
+    // Typed relations: dates, numbers, checkboxes, multi-selects, object links
+    applyPropertyTypes(doc, frontmatter.data, filePath);
+  }
+  
+  // Add type (the note's own type, SetLeaf for pages in Sets, Page for root pages) and root Set info
+  setFrontmatterValue(doc, 'type', pageType);
+  if (setInfo && setInfo.rootSet) {
+    setFrontmatterValue(doc, 'set', setInfo.rootSet);
+  }
+  
+  // Canvas edges starting at this note: object relation to the notes they point to
+  const canvasTargets = filePath ? run.canvasRelations.get(normalizePath(filePath)) : null;
+  if (canvasTargets) {
+    const existing = Array.isArray(frontmatter.data[CANVAS_RELATION]) ? frontmatter.data[CANVAS_RELATION].map(String) : [];
+    setFrontmatterValue(doc, CANVAS_RELATION, [...new Set([...existing, ...canvasTargets])]);
+  }
+  
+  // Add section property for pages with tags - helps Anytype organize and display tags
+  if (tags.length > 0) {
+    // Section can be used to group pages with tags
+    setFrontmatterValue(doc, 'section', tags[0]); // Use first tag as section, or could use a default value
+  }
+  
+  // Add tags if any found - format as tags array for Anytype
+  if (tags.length > 0) {
+    // If tags already exist in frontmatter, merge them
+    const existingTags = getFrontmatterTags(frontmatter.data.tags);
+    const allTags = [...new Set([...existingTags, ...tags])].sort();
+    
+    // Format tags as simple array of tag names for Anytype
+    // Anytype will recognize this and display them as tags
+    setFrontmatterValue(doc, 'tags', allTags);
+    
+    // Remove old tag property if it exists
+    doc.delete('tag');
+    
+    // Debug: log all tags being added to this page
+    if (filePath && allTags.length > 0) {
+      logDebug(`    🏷️  Adding ${allTags.length} tag(s) to ${path.basename(filePath)}: ${allTags.join(', ')}`);
+    }
+  }
+  
+  // Rebuild frontmatter (notes without frontmatter get a blank line before the content)
+  const separator = frontmatter.raw === null ? '\n' : '';
+  let contentWithTags = serializeFrontmatter(doc) + separator + frontmatter.body;
+  
+  // Add tags section under title if tags exist
+  if (tags.length > 0 && run.settings.tagBadges.enabled) {
+    contentWithTags = addTagsSectionToContent(contentWithTags, tags);
+  }
+  return contentWithTags;
+}
+
+/**
+ * Generate a color for a tag based on its name (consistent hash)
+ * @param {string} tagName - Tag name
+ * @returns {string} Hex color code
+ */
+function getTagColor(tagName) {
+  // Generate a consistent color based on tag name hash
+  let hash = 0;
+  for (let i = 0; i < tagName.length; i++) {
+    hash = tagName.charCodeAt(i) + ((hash << 5) - hash);
+  }
+  
+  // Generate a color with good saturation and brightness
+  const hue = Math.abs(hash) % 360;
+  // Use HSL to RGB conversion for vibrant colors
+  const saturation = 65 + (Math.abs(hash) % 20); // 65-85% saturation
+  const lightness = 45 + (Math.abs(hash) % 15); // 45-60% lightness
+  
+  // Convert HSL to RGB
+  const h = hue / 360;
+  const s = saturation / 100;
+  const l = lightness / 100;
+  
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs((h * 6) % 2 - 1));
+  const m = l - c / 2;
+  
+  let r, g, b;
+  if (h < 1/6) {
+    r = c; g = x; b = 0;
+  } else if (h < 2/6) {
+    r = x; g = c; b = 0;
+  } else if (h < 3/6) {
+    r = 0; g = c; b = x;
+  } else if (h < 4/6) {
+    r = 0; g = x; b = c;
+  } else if (h < 5/6) {
+    r = x; g = 0; b = c;
+  } else {
+    r = c; g = 0; b = x;
+  }
+  
+  r = Math.round((r + m) * 255);
+  g = Math.round((g + m) * 255);
+  b = Math.round((b + m) * 255);
+  
+  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Add a tags section under the title in markdown content with colorized tags
+ * This makes tags visible in the page content with colors
+ * @param {string} content - Markdown content with frontmatter
+ * @param {Array<string>} tags - Array of tag names
+ * @returns {string} Content with colorized tags section added
+ */
+function addTagsSectionToContent(content, tags) {
+  // Find the first heading (title) or start of content after frontmatter
+  const frontmatterRegex = /^---\s*\n[\s\S]*?\n---\s*\n/;
+  const hasFrontmatter = frontmatterRegex.test(content);
+  
+  let contentAfterFrontmatter = content;
+  if (hasFrontmatter) {
+    contentAfterFrontmatter = content.replace(frontmatterRegex, '');
+  }
+  
+  // Find the first heading (h1, h2, etc.)
+  const headingRegex = /^(#{1,6}\s+.+)$/m;
+  const headingMatch = contentAfterFrontmatter.match(headingRegex);
+  
+  // Create colorized tags section
+  const badges = run.settings.tagBadges;
+  const colorizedTags = tags.map(tag => {
+    const color = badges.colors[tag] || getTagColor(tag);
+    // Use HTML span with inline style for colorization
+    return `<span style="background-color: ${color}; color: ${badges.textColor}; ${badges.style}">#${tag}</span>`;
+  }).join(' ');
+  
+  const tagsSection = '\n\n<div style="margin: 10px 0;">**Tags:** ' + colorizedTags + '</div>\n\n';
+  
+  if (headingMatch) {
+    // Insert tags section right after the first heading
+    const headingIndex = headingMatch.index + headingMatch[0].length;
+    const beforeHeading = contentAfterFrontmatter.substring(0, headingIndex);
+    const afterHeading = contentAfterFrontmatter.substring(headingIndex);
+    
+    return hasFrontmatter 
+      ? content.replace(frontmatterRegex, '$&') + beforeHeading + tagsSection + afterHeading
+      : beforeHeading + tagsSection + afterHeading;
+  } else {
+    // No heading found, add tags section at the beginning
+    return hasFrontmatter
+      ? content.replace(frontmatterRegex, '$&' + tagsSection)
+      : tagsSection + content;
+  }
+}
+
+/**
+ * Process a markdown file and convert Obsidian-specific syntax
+ * Pages directly in root folders become rootFolders type
+ * Pages in subfolders become SetLeaf type
+ * Root pages become Page type
+ * @param {string} filePath - Full path to the markdown file
+ * @param {object} setInfo - Set information for the file
+ * @param {string} fileRelativeDir - Relative directory path from export root (for zip structure)
+ */
+function processMarkdownFile(filePath, setInfo, fileRelativeDir = '', fileRelativePathInZip = '') {
+  const content = readNote(filePath);
+  const fileDir = path.dirname(filePath);
+  
+  // Calculate the file's relative path from vault root (for zip structure)
+  const fileRelativePath = path.relative(run.vaultPath, filePath);
+  let calculatedRelativePathInZip = fileRelativePath.replace(/\\/g, '/');
+  
+  // If fileRelativePathInZip not provided, calculate it from vault root
+  if (!fileRelativePathInZip) {
+    fileRelativePathInZip = calculatedRelativePathInZip;
+  }
+  
+  // If fileRelativeDir not provided, calculate it from vault root
+  if (!fileRelativeDir) {
+    fileRelativeDir = path.dirname(fileRelativePath) === '.' ? '' : path.dirname(fileRelativePath).replace(/\\/g, '/');
+  }
+  
+  // Frontmatter is YAML, not markdown: links in properties are converted by applyPropertyTypes
+  const frontmatterMatch = content.match(/^---\s*\n[\s\S]*?\n---\s*\n/);
+  const frontmatterText = frontmatterMatch ? frontmatterMatch[0] : '';
+  let processedContent = content.substring(frontmatterText.length);
+  
+  // Broken links are reported with their line in the note (the passes below keep line numbers
+  // until embeds are inlined, and each pass reports positions in its own input)
+  run.linkSource = { path: filePath, lineOffset: frontmatterText.split('\n').length - 1, element: null };
+  try {
+    // Obsidian comments first, so links in private comments aren't followed
+    processedContent = convertComments(processedContent);
+    
+    // Rewrite standard markdown links to zip paths (before wiki links add more markdown links)
+    processedContent = convertMarkdownLinks(processedContent, fileDir);
+    
+    // Convert Obsidian links
+    processedContent = convertObsidianLinks(processedContent, fileDir);
+    
+    // Turn block IDs (^block-id) into anchors for [[Note^block-id]] links
+    processedContent = convertBlockIds(processedContent);
+    
+    // Convert images/embeds - pass fileRelativePathInZip for correct path calculation
+    processedContent = convertImages(processedContent, fileDir, fileRelativeDir, fileRelativePathInZip, [normalizePath(filePath)]);
+  } finally {
+    run.linkSource = null;
+  }
+  
+  // Obsidian-only syntax (math, inline footnotes, highlights, task statuses), also in inlined embeds
+  processedContent = normalizeSyntax(processedContent);
+  
+  // Turn callouts (> [!type] Title) into quotes with an icon and a bold title
+  // (after embeds are inlined, so embedded callouts are converted too)
+  processedContent = convertCallouts(processedContent);
+  
+  // Highlight tags in content (make them bold for visibility)
+  processedContent = highlightTags(processedContent);
+  
+  // Add metadata: rootFolders for pages directly in root folders, SetLeaf for subfolders, Page for root files
+  // setInfo will be null for root files, or the Set info for files in folders
+  processedContent = addPageMetadata(frontmatterText + processedContent, setInfo, filePath);
+  
+  return processedContent;
+}
+
+/**
+ * Parse a JSON Canvas file (.canvas)
+ * @param {string} text - File content
+ * @returns {object} { nodes, edges } - nodes are text, file, link or group cards
+ * @throws {Error} If the file isn't a canvas
+ */
+function parseCanvas(text) {
+  const canvas = text.trim() ? JSON.parse(text) : {};
+  if (!canvas || typeof canvas !== 'object' || Array.isArray(canvas)) {
+    throw new Error('Canvas is not a JSON object');
+  }
+  const nodes = Array.isArray(canvas.nodes) ? canvas.nodes.filter(node => node && node.id) : [];
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const edges = Array.isArray(canvas.edges)
+    ? canvas.edges.filter(edge => edge && nodeIds.has(edge.fromNode) && nodeIds.has(edge.toNode))
+    : [];
+  return { nodes, edges };
+}
+
+/**
+ * Find the vault file of a file card (the path is relative to the vault root)
+ * @returns {string|null} Full path, or null if the file isn't in the vault
+ */
+function resolveCanvasFile(file) {
+  const index = getVaultIndex();
+  const ext = path.extname(file).toLowerCase();
+  const entry = ext === '.md' || ext === '.markdown'
+    ? index.notesByPath.get(toIndexKey(file.slice(0, -ext.length)))
+    : index.filesByPath.get(toIndexKey(file));
+  return entry ? entry.fullPath : null;
+}
+
+/**
+ * Direction of a canvas edge: arrows at the ends, an edge without arrows counts both ways
+ * @returns {Array<Array<string>>} [from, to] node id pairs
+ */
+function getCanvasEdgeDirections(edge) {
+  const toArrow = (edge.toEnd || 'arrow') === 'arrow';
+  const fromArrow = edge.fromEnd === 'arrow';
+  const directions = [];
+  if (toArrow || !fromArrow) {
+    directions.push([edge.fromNode, edge.toNode]);
+  }
+  if (fromArrow || !toArrow) {
+    directions.push([edge.toNode, edge.fromNode]);
+  }
+  return directions;
+}
+
+/**
+ * Collect the edges between notes on all canvases of the vault
+ * They become a relation (CANVAS_RELATION) on the note an edge starts at, see addPageMetadata
+ * Canvases that can't be read are skipped here and reported when they are converted
+ */
+function collectCanvasRelations() {
+  const index = getVaultIndex();
+  for (const file of index.files) {
+    if (!/\.canvas$/i.test(file.name) || getFileSkipReason(file.fullPath)) {
+      continue;
+    }
+    let canvas;
+    try {
+      canvas = parseCanvas(readNote(file.fullPath));
+    } catch (err) {
+      continue;
+    }
+    
+    // Notes (and canvases) on the canvas, by node id
+    const pages = new Map();
+    for (const node of canvas.nodes) {
+      const notePath = node.type === 'file' && node.file ? resolveCanvasFile(node.file) : null;
+      if (notePath && /\.(md|markdown|canvas)$/i.test(notePath)) {
+        pages.set(node.id, notePath);
+      }
+    }
+    
+    for (const edge of canvas.edges) {
+      for (const [fromId, toId] of getCanvasEdgeDirections(edge)) {
+        if (pages.has(fromId) && pages.has(toId) && pages.get(fromId) !== pages.get(toId)) {
+          const key = normalizePath(pages.get(fromId));
+          if (!run.canvasRelations.has(key)) {
+            run.canvasRelations.set(key, []);
+          }
+          const targets = run.canvasRelations.get(key);
+          const target = getZipPath(pages.get(toId));
+          if (!targets.includes(target)) {
+            targets.push(target);
           }
         }
       }
-    } else {
-      // Absolute path
-      if (fs.existsSync(cleanImagePath)) {
-        fullImagePath = cleanImagePath;
-      }
     }
+  }
+}
+
+/**
+ * Convert a canvas (.canvas) into a page
+ * Groups become sections (nested groups become subsections), cards are listed in reading order
+ * (top to bottom, left to right): text cards as their markdown, file cards as links or images,
+ * link cards as links. Edges are listed under "Connections" and become relations between the
+ * notes they connect (see collectCanvasRelations)
+ * @param {string} filePath - Full path to the canvas
+ * @param {object} setInfo - Set information for the file (null for root files)
+ * @returns {string} Page content with frontmatter
+ */
+function processCanvasFile(filePath, setInfo) {
+  const canvas = parseCanvas(readNote(filePath));
+  const fileDir = path.dirname(filePath);
+  const title = path.basename(filePath, path.extname(filePath));
+  const byId = new Map(canvas.nodes.map(node => [node.id, node]));
+  
+  // Group of each card: the smallest group whose area contains the card's center
+  const groups = canvas.nodes.filter(node => node.type === 'group');
+  const area = node => (node.width || 0) * (node.height || 0);
+  const findGroup = (node) => {
+    const centerX = (node.x || 0) + (node.width || 0) / 2;
+    const centerY = (node.y || 0) + (node.height || 0) / 2;
+    const containing = groups.filter(group => group !== node && area(group) > area(node) &&
+      centerX >= group.x && centerX <= group.x + group.width &&
+      centerY >= group.y && centerY <= group.y + group.height);
+    containing.sort((a, b) => area(a) - area(b));
+    return containing.length > 0 ? containing[0].id : null;
+  };
+  const children = new Map();
+  for (const node of canvas.nodes) {
+    const groupId = findGroup(node);
+    if (!children.has(groupId)) {
+      children.set(groupId, []);
+    }
+    children.get(groupId).push(node);
+  }
+  const readingOrder = (a, b) => (a.y || 0) - (b.y || 0) || (a.x || 0) - (b.x || 0);
+  
+  // Broken links in cards are reported for the canvas, with the id of the card
+  run.linkSource = { path: filePath, lineOffset: 0, element: null };
+  try {
+    // Short reference to a card, for the Connections list
+    const describeNode = (node) => {
+      if (node.type === 'file' && node.file) {
+        const targetPath = resolveCanvasFile(node.file);
+        const name = path.basename(node.file, path.extname(node.file));
+        return targetPath ? `[${name}](${getZipPath(targetPath)})` : name;
+      }
+      if (node.type === 'link' && node.url) {
+        return `[${node.url}](${node.url})`;
+      }
+      if (node.type === 'group') {
+        return `**${node.label || 'Group'}**`;
+      }
+      const firstLine = String(node.text || '').split('\n').find(line => line.trim()) || '';
+      const text = firstLine.replace(/^[#>\-*\s]+/, '').trim();
+      return `"${text.length > 40 ? text.substring(0, 40) + '…' : text}"`;
+    };
     
-    // Calculate relative path from vault root and sanitize
-    let resolvedPath = cleanImagePath;
-    if (fullImagePath) {
-      const relativeFromVault = path.relative(vaultPath, fullImagePath);
-      if (!relativeFromVault.startsWith('..')) {
-        resolvedPath = relativeFromVault.replace(/\\/g, '/');
+    const renderNode = (node) => {
+      run.linkSource.element = `card ${node.id}`;
+      if (node.type === 'text') {
+        let text = convertComments(String(node.text || '').trim());
+        text = convertMarkdownLinks(text, fileDir);
+        text = convertObsidianLinks(text, fileDir);
+        text = convertImages(text, fileDir, '', getZipPath(filePath), [normalizePath(filePath)]);
+        return convertCallouts(normalizeSyntax(text, `${node.id}-`));
       }
-    }
+      if (node.type === 'link') {
+        return node.url ? `🔗 [${node.url}](${node.url})` : '';
+      }
+      if (node.type === 'file' && node.file) {
+        const targetPath = resolveCanvasFile(node.file);
+        const name = path.basename(node.file);
+        if (!targetPath) {
+          recordBrokenLink('canvas card', node.file, node.file, '', 0);
+          return `📄 ${name}`;
+        }
+        const zipPath = getZipPath(targetPath);
+        if (/\.(png|jpe?g|gif|svg|webp|bmp)$/i.test(name)) {
+          return `![${name}](${zipPath})`;
+        }
+        const anchor = node.subpath ? getLinkAnchor(parseWikiLink(node.subpath)) : '';
+        return `📄 [${path.basename(name, path.extname(name))}](${zipPath}${anchor})`;
+      }
+      return '';
+    };
     
-    // Sanitize the path to match zip file paths
-    let sanitizedPath = sanitizePathForLink(resolvedPath);
-    // Ensure path uses forward slashes (not backslashes) - critical for Anytype
-    sanitizedPath = sanitizedPath.replace(/\\/g, '/');
+    const renderGroup = (groupId, level) => {
+      const blocks = [];
+      const nodes = [...(children.get(groupId) || [])].sort(readingOrder);
+      for (const node of nodes.filter(node => node.type !== 'group')) {
+        const block = renderNode(node);
+        if (block) {
+          blocks.push(block);
+        }
+      }
+      for (const group of nodes.filter(node => node.type === 'group')) {
+        blocks.push(`${'#'.repeat(Math.min(level, 6))} ${group.label || 'Group'}`);
+        blocks.push(...renderGroup(group.id, level + 1));
+      }
+      return blocks;
+    };
     
-    // Debug: log markdown image path resolution
-    if (fullImagePath) {
-      console.log(`    🖼️  Found markdown image: ${imagePath} -> ${sanitizedPath} (file: ${path.basename(fullImagePath)})`);
-    } else {
-      console.log(`    ⚠️  Markdown image NOT found: ${imagePath} (in ${fileDir})`);
+    const blocks = [`# ${title}`, ...renderGroup(null, 2)];
+    if (canvas.edges.length > 0) {
+      blocks.push('## Connections');
+      const arrows = { both: '↔', none: '—' };
+      blocks.push(canvas.edges.map((edge) => {
+        const directions = getCanvasEdgeDirections(edge);
+        const arrow = directions.length === 1 ? '→' : (edge.fromEnd === 'arrow' ? arrows.both : arrows.none);
+        const [fromId, toId] = directions.length === 1 ? directions[0] : [edge.fromNode, edge.toNode];
+        const label = edge.label ? ` (${edge.label})` : '';
+        return `- ${describeNode(byId.get(fromId))} ${arrow} ${describeNode(byId.get(toId))}${label}`;
+      }).join('\n'));
     }
     
-    return `![${altText}](${sanitizedPath})`;
-  });
-  
-  return processedContent;
+    return addPageMetadata(highlightTags(blocks.join('\n\n') + '\n'), setInfo, filePath);
+  } finally {
+    run.linkSource = null;
+  }
 }
 
 /**
- * Normalize path for comparison
+ * Check if a note is an Excalidraw drawing (*.excalidraw.md, or excalidraw-plugin in its frontmatter)
  */
-function normalizePath(p) {
-  return path.resolve(p).toLowerCase();
+function isExcalidrawFile(filePath) {
+  if (/\.excalidraw\.md$/i.test(filePath)) {
+    return true;
+  }
+  if (!/\.md$/i.test(filePath)) {
+    return false;
+  }
+  try {
+    const frontmatterMatch = readNote(filePath).match(/^---\s*\n([\s\S]*?)\n---\s*\n/);
+    return Boolean(frontmatterMatch && /^excalidraw-plugin\s*:/m.test(frontmatterMatch[1]));
+  } catch (err) {
+    return false;
+  }
 }
 
 /**
- * Check if a directory is a root-level folder (direct child of root)
+ * Read the parts of an Excalidraw drawing note
+ * The plugin stores the text of the drawing under "Text Elements" (each element ends with ^id),
+ * links to embedded files under "Embedded Files" and the drawing itself as (compressed) JSON
+ * under "Drawing"; older versions use # headings, newer ones ## under "# Excalidraw Data"
+ * @param {string} body - Note content without frontmatter
+ * @returns {object} { texts, embeddedFiles, drawing } - texts are { id, text }, embedded files { id, file };
+ *   drawing is the JSON text, or null
  */
-function isRootLevelFolder(dirPath, rootPath = null) {
-  const normalizedPath = normalizePath(dirPath);
-  const effectiveRoot = rootPath || vaultPath;
-  const normalizedRootPath = normalizePath(effectiveRoot);
-  const parentDir = path.dirname(dirPath);
-  const normalizedParentDir = normalizePath(parentDir);
+function parseExcalidrawFile(body) {
+  const getSection = (name) => {
+    const match = body.match(new RegExp(`^#{1,2} ${name}[ \\t]*\\n([\\s\\S]*?)(?=^#{1,2} |^%%|(?![\\s\\S]))`, 'mi'));
+    return match ? match[1] : '';
+  };
   
-  return normalizedParentDir === normalizedRootPath;
+  // Text elements end with " ^elementId"; elements may span several lines
+  const texts = [];
+  const textSection = getSection('Text Elements');
+  const elementRegex = /([\s\S]*?)\s\^([\w-]+)[ \t]*(?:\n|$)/g;
+  let match;
+  while ((match = elementRegex.exec(textSection)) !== null) {
+    if (match[1].trim()) {
+      texts.push({ id: match[2], text: match[1].trim() });
+    }
+  }
+  
+  // "fileId: [[image.png]]" (or a URL for embedded images from the web)
+  const embeddedFiles = getSection('Embedded files').split('\n')
+    .map(line => line.trim().match(/^(?:([\w-]+):\s+)?(.*)$/))
+    .filter(line => line[2].length > 0)
+    .map(line => ({ id: line[1] || null, file: line[2] }));
+  
+  let drawing = null;
+  const drawingMatch = body.match(/```(compressed-json|json)[ \t]*\n([\s\S]*?)\n```/);
+  if (drawingMatch) {
+    drawing = drawingMatch[1] === 'compressed-json'
+      ? LZString.decompressFromBase64(drawingMatch[2].replace(/\s/g, ''))
+      : drawingMatch[2];
+  }
+  
+  return { texts, embeddedFiles, drawing: drawing || null };
 }
 
 /**
- * Get the root Set that a directory belongs to (for exports)
- * Returns the root-level Set name, or null if not under any Set
- * ALL root-level folders are Sets (not just those with markdown files)
+ * Find the image the Excalidraw plugin exported next to a drawing
+ * (Sketch.excalidraw.svg/.png, or Sketch.svg/.png), SVG first
+ * @returns {string|null} Full path of the image
  */
-function getRootSetForPathExport(dirPath, exportRootPath) {
-  const normalizedPath = normalizePath(dirPath);
-  const normalizedRootPath = normalizePath(exportRootPath);
-  
-  // If this is the export root, no Set
-  if (normalizedPath === normalizedRootPath) {
-    return null;
+function findDrawingImage(filePath) {
+  const index = getVaultIndex();
+  const withoutMd = filePath.replace(/\.md$/i, '');
+  const candidates = [withoutMd, withoutMd.replace(/\.excalidraw$/i, '')];
+  for (const ext of ['.svg', '.png']) {
+    for (const candidate of candidates) {
+      const found = index.filesByPath.get(toIndexKey(path.relative(index.root, candidate + ext)));
+      if (found) {
+        return found.fullPath;
+      }
+    }
   }
+  return null;
+}
+
+/**
+ * Embed of a drawing in another note: its exported image, or a link if there is none
+ */
+function createDrawingEmbed(notePath, linkPath, parsedLink) {
+  const name = parsedLink.alias || path.basename(notePath).replace(/(\.excalidraw)?\.md$/i, '');
+  const imagePath = findDrawingImage(notePath);
+  return imagePath ? `![${name}](${getZipPath(imagePath)})` : `[✏️ ${name}](${linkPath})`;
+}
+
+/**
+ * Convert an Excalidraw drawing note into a page
+ * The page shows the exported image (if the plugin exported one next to the drawing), links to
+ * the drawing data and lists the text elements and embedded files, so they can be searched.
+ * The drawing data is exported as an .excalidraw file (plain JSON, opens in Excalidraw)
+ * @param {string} filePath - Full path to the drawing
+ * @param {object} setInfo - Set information for the file (null for root files)
+ * @returns {object} { content, data, dataPath } - data is null if the drawing couldn't be read
+ */
+function processExcalidrawFile(filePath, setInfo) {
+  const content = readNote(filePath);
+  const fileDir = path.dirname(filePath);
+  const frontmatterMatch = content.match(/^---\s*\n[\s\S]*?\n---\s*\n/);
+  // The plugin's own settings (excalidraw-plugin, excalidraw-open-md, ...) are left out
+  const frontmatterText = frontmatterMatch ? frontmatterMatch[0].replace(/^excalidraw-[\w-]+\s*:.*\n/gm, '') : '';
+  const drawing = parseExcalidrawFile(content.substring(frontmatterMatch ? frontmatterMatch[0].length : 0));
+  const title = path.basename(filePath).replace(/(\.excalidraw)?\.md$/i, '');
+  const dataPath = getVaultIndex().drawingDataPaths.get(normalizePath(filePath))
+    || getZipPath(filePath).replace(/(\.excalidraw)?\.md$/i, '.excalidraw');
   
-  // If this is a root-level folder, it's a Set (if not deleted)
-  if (isRootLevelFolder(dirPath, exportRootPath)) {
-    const dirName = path.basename(dirPath);
-    // All root folders are Sets, just check if not deleted
-    if (!isDeleted(dirPath, dirName)) {
-      return dirName;
-    }
-    return null;
+  if (drawing.drawing === null) {
+    recordWarning(`Could not read the drawing data of ${path.basename(filePath)}`);
   }
   
-  // Otherwise, walk up to find the root-level folder
-  let currentDir = dirPath;
-  while (true) {
-    const parentDir = path.dirname(currentDir);
-    const normalizedParentDir = normalizePath(parentDir);
+  // Broken links are reported for the drawing, with the id of the element
+  run.linkSource = { path: filePath, lineOffset: 0, element: null };
+  try {
+    const blocks = [`# ${title}`];
+    const imagePath = findDrawingImage(filePath);
+    if (imagePath) {
+      blocks.push(`![${title}](${getZipPath(imagePath)})`);
+    }
+    if (drawing.drawing !== null) {
+      blocks.push(`📎 [${path.posix.basename(dataPath)}](${dataPath}) (drawing data)`);
+    }
     
-    if (normalizedParentDir === normalizedRootPath) {
-      // Found the root-level folder
-      const dirName = path.basename(currentDir);
-      // All root folders are Sets, just check if not deleted
-      if (!isDeleted(currentDir, dirName)) {
-        return dirName;
-      }
-      return null;
+    if (drawing.texts.length > 0) {
+      blocks.push('## Text');
+      blocks.push(...drawing.texts.map((element) => {
+        run.linkSource.element = `text element ${element.id}`;
+        return convertObsidianLinks(element.text, fileDir);
+      }));
     }
     
-    currentDir = parentDir;
+    if (drawing.embeddedFiles.length > 0) {
+      blocks.push('## Embedded files');
+      blocks.push(drawing.embeddedFiles.map(({ id, file }) => {
+        run.linkSource.element = id ? `embedded file ${id}` : 'embedded files';
+        const wikiLink = file.match(/^\[\[([^\]]+)\]\]$/);
+        if (!wikiLink) {
+          return `- ${file}`;
+        }
+        const parsedLink = parseWikiLink(wikiLink[1]);
+        const targetPath = findNoteFile(parsedLink.noteName, fileDir) || resolveAttachment(parsedLink.noteName, fileDir);
+        if (!targetPath) {
+          recordBrokenLink('embed', file, parsedLink.noteName, '', 0);
+          return `- ${parsedLink.noteName}`;
+        }
+        return `- [${parsedLink.alias || parsedLink.noteName}](${getZipPath(targetPath)})`;
+      }).join('\n'));
+    }
     
-    // Safety check to avoid infinite loop
-    if (normalizedPath === normalizePath(currentDir)) {
-      break;
+    const page = addPageMetadata(frontmatterText + highlightTags(blocks.join('\n\n') + '\n'), setInfo, filePath);
+    return { content: page, data: drawing.drawing, dataPath };
+  } finally {
+    run.linkSource = null;
+  }
+}
+
+/**
+ * Check if a file or folder is marked as deleted
+ * Only check explicit deletion markers, not just the word "deleted" in paths
+ */
+function isDeleted(filePath, name) {
+  return getDeletedReason(filePath, name) !== null;
+}
+
+/**
+ * Why a file or folder counts as deleted (see isDeleted)
+ * @returns {string|null} Reason, or null if it isn't deleted
+ */
+function getDeletedReason(filePath, name) {
+  // Only check if the name itself matches a trash pattern ("deleted", "trash_*", ...)
+  // Don't check if the path contains these words (too aggressive)
+  const trashPattern = findNamePattern(name, run.settings.trashPatterns);
+  if (trashPattern !== undefined) {
+    return `deleted (name matches "${trashPattern}")`;
+  }
+  
+  // Check frontmatter for explicit deleted status (for markdown files)
+  // Only check for exact matches, not just containing the word
+  if (path.extname(filePath).toLowerCase() === '.md' || 
+      path.extname(filePath).toLowerCase() === '.markdown') {
+    try {
+      const content = readNote(filePath);
+      const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n/;
+      const match = content.match(frontmatterRegex);
+      if (match) {
+        const frontmatter = match[1];
+        // Check for explicit deleted: true, status: deleted, etc.
+        // Use regex to match whole key-value pairs
+        if (/\bdeleted\s*:\s*(true|yes|1)\b/i.test(frontmatter) ||
+            /\bstatus\s*:\s*deleted\b/i.test(frontmatter)) {
+          return 'deleted (marked as deleted in frontmatter)';
+        }
+      }
+    } catch (err) {
+      // If we can't read the file, assume not deleted
     }
   }
   
@@ -568,1361 +3284,2166 @@ function getRootSetForPathExport(dirPath, exportRootPath) {
 }
 
 /**
- * Get the root Set that a directory belongs to
- * Returns the root-level Set name, or null if not under any Set
- * ALL root-level folders are Sets (not just those with markdown files)
+ * Check if a directory contains markdown files (not just attachments)
  */
-function getRootSetForPath(dirPath) {
-  return getRootSetForPathExport(dirPath, vaultPath);
+function hasMarkdownFiles(dirPath) {
+  try {
+    const entries = readDirEntries(dirPath);
+    for (const entry of entries) {
+      // Skip hidden files
+      if (entry.name.startsWith('.') && entry.name !== '.') {
+        continue;
+      }
+      
+      // Skip deleted items
+      if (isDeleted(path.join(dirPath, entry.name), entry.name)) {
+        continue;
+      }
+      
+      if (entry.isFile()) {
+        const ext = path.extname(entry.name).toLowerCase();
+        if (ext === '.md' || ext === '.markdown') {
+          // Skip Set files
+          if (entry.name !== '.set.md') {
+            return true;
+          }
+        }
+      } else if (entry.isDirectory()) {
+        // Recursively check subdirectories
+        if (hasMarkdownFiles(path.join(dirPath, entry.name))) {
+          return true;
+        }
+      }
+    }
+  } catch (err) {
+    // If we can't read the directory, assume no markdown files
+  }
+  return false;
 }
 
 /**
- * Get or create Set info for a directory path (for exports)
- * ALL root-level folders are Sets (regardless of markdown files)
+ * Check if a file should be included in the export
  */
-function getSetInfoForExport(dirPath, relativePath, exportRootPath) {
-  const normalizedPath = normalizePath(dirPath);
-  const cacheKey = `${normalizedPath}_${normalizePath(exportRootPath)}`;
-  if (sets.has(cacheKey)) {
-    return sets.get(cacheKey);
+function shouldIncludeFile(filePath) {
+  return getFileSkipReason(filePath) === null;
+}
+
+/**
+ * Why a file is left out of the export (see shouldIncludeFile)
+ * @returns {string|null} Reason, or null if the file is exported
+ */
+function getFileSkipReason(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const name = path.basename(filePath);
+  
+  // An earlier export written into the vault
+  if (isExportOutput(filePath, run.outputPath, run.statePath)) {
+    return 'output of this export';
   }
   
-  const dirName = path.basename(dirPath);
-  const normalizedRootPath = normalizePath(exportRootPath);
+  // Exclude deleted files
+  const deletedReason = getDeletedReason(filePath, name);
+  if (deletedReason) {
+    return deletedReason;
+  }
   
-  // Check if deleted (only check folder name, not path content)
-  const lowerName = dirName.toLowerCase();
-  if (lowerName === 'deleted' || lowerName === 'trash' || lowerName.startsWith('deleted_') || lowerName.startsWith('trash_')) {
-    const setInfo = {
-      name: dirName || 'Root',
-      path: dirPath,
-      relativePath: relativePath || '',
-      isRootSet: false,
-      rootSet: null,
-      setFileName: relativePath ? `${relativePath.replace(/\\/g, '/')}/.set.md` : '.set.md',
-      isDeleted: true
-    };
-    sets.set(cacheKey, setInfo);
-    return setInfo;
+  // --include / --exclude patterns and excluded folders
+  const excludedReason = getExcludedReason(filePath);
+  if (excludedReason) {
+    return excludedReason;
+  }
+  if (!isIncludedByPattern(filePath)) {
+    return 'not matched by any include pattern';
   }
   
-  // ALL root-level folders are Sets (not just those with markdown files)
-  const isRootLevel = isRootLevelFolder(dirPath, exportRootPath);
-  const isRootSet = isRootLevel;
+  // Exclude Obsidian-specific files (excluded folders are checked by isExcludedByPattern)
+  const excludedExtensions = ['.obsidian', '.DS_Store'];
   
-  const setInfo = {
-    name: dirName || 'Root',
-    path: dirPath,
-    relativePath: relativePath || '',
-    isRootSet: isRootSet,
-    rootSet: isRootSet ? dirName : getRootSetForPathExport(dirPath, exportRootPath),
-    setFileName: relativePath ? `${relativePath.replace(/\\/g, '/')}/.set.md` : '.set.md',
-    isDeleted: false
-  };
+  // Include markdown files and common attachment types
+  const includedExtensions = [
+    // Markdown
+    '.md', '.markdown',
+    // Images
+    '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp', '.ico', '.tiff', '.tif', '.heic', '.heif',
+    // Documents
+    '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp',
+    // Audio
+    '.mp3', '.mp4', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.wma',
+    // Video
+    '.avi', '.mov', '.wmv', '.flv', '.mkv', '.webm',
+    // Archives
+    '.zip', '.rar', '.7z', '.tar', '.gz',
+    // Data
+    '.txt', '.csv', '.json', '.xml', '.yaml', '.yml', '.toml',
+    // Code (sometimes used as attachments)
+    '.js', '.ts', '.py', '.java', '.cpp', '.c', '.h', '.html', '.css',
+    // Other common files
+    '.rtf', '.epub', '.mobi', '.azw', '.fb2'
+  ];
+  
+  // Include files with known extensions
+  if (includedExtensions.includes(ext)) {
+    return null;
+  }
+  
+  // For files without extensions or unknown extensions, include them as attachments
+  // This ensures all attachment files are included, even with uncommon extensions
+  // Only exclude if explicitly in the excluded list
+  if (!excludedExtensions.some(e => name.includes(e))) {
+    return null;
+  }
   
-  sets.set(cacheKey, setInfo);
-  return setInfo;
+  return 'Obsidian or system file';
 }
 
 /**
- * Get or create Set info for a directory path
- * ALL root-level folders are Sets (regardless of markdown files)
+ * Why a folder is left out of the export (deleted, excluded folder or --exclude pattern)
+ * @returns {string|null} Reason, or null if the folder is exported
  */
-function getSetInfo(dirPath, relativePath) {
-  return getSetInfoForExport(dirPath, relativePath, vaultPath);
+function getFolderSkipReason(fullPath, name) {
+  if (isExportOutput(fullPath, run.outputPath, run.statePath)) {
+    return 'output of this export';
+  }
+  return getDeletedReason(fullPath, name) || getExcludedReason(fullPath);
 }
 
 /**
- * Check if a directory has any markdown files (recursively)
+ * Check if a path is written by the export: the zip with its volumes, manifest and state file, numbered
+ * incremental exports, or the output directory, and their .tmp files (an export inside the vault must not export itself)
+ * @param {string} fullPath - File or folder to check
+ * @param {string} outputPath - Zip file or output directory
+ * @param {string|null} statePath - State file of incremental exports
  */
-function hasMarkdownFilesInDir(dirPath) {
-  try {
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-      
-      // Skip hidden files, Set files, and deleted items
-      if (entry.name.startsWith('.') && entry.name !== '.' && entry.name !== '.set.md') {
-        continue;
-      }
-      
-      if (entry.name === '.set.md') {
-        continue;
-      }
-      
-      if (isDeleted(fullPath, entry.name)) {
-        continue;
-      }
-      
-      if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        if (ext === '.md' || ext === '.markdown') {
-          // Verify file exists
-          if (fs.existsSync(fullPath)) {
-            return true;
-          }
-        }
-      } else if (entry.isDirectory()) {
-        // Recursively check subdirectories
-        if (hasMarkdownFilesInDir(fullPath)) {
-          return true;
-        }
-      }
-    }
-  } catch (err) {
-    // If we can't read, assume no files
+function isExportOutput(fullPath, outputPath, statePath) {
+  const resolved = path.resolve(fullPath);
+  const output = path.resolve(outputPath);
+  const outputBase = output.slice(0, output.length - path.extname(output).length);
+  if (resolved === output || resolved === `${output}.tmp` || (statePath && resolved === path.resolve(statePath))) {
+    return true;
   }
-  return false;
+  if (resolved.startsWith(output + path.sep) || resolved.startsWith(`${output}.tmp${path.sep}`)) {
+    return true;
+  }
+  // Volumes, manifest and state file, also of numbered incremental exports (anytype_export.2.zip)
+  return resolved.startsWith(outputBase) &&
+    /^\.((\d+\.)?(zip|part\d+\.zip|manifest\.json)(\.tmp)?|state\.json)$/.test(resolved.substring(outputBase.length));
 }
 
 /**
- * Sanitize path for markdown links by replacing spaces with underscores
- * This ensures links work correctly in markdown
+ * Record a file or folder left out of the export, with the reason (listed in the dry-run plan)
  */
-function sanitizePathForLink(filePath) {
-  // Normalize path separators to forward slashes first
-  let normalizedPath = filePath.replace(/\\/g, '/');
-  // Split path into components, replace spaces in each component, then rejoin
-  const pathParts = normalizedPath.split('/');
-  return pathParts.map(part => part.replace(/\s+/g, '_')).join('/');
+function recordSkipped(fullPath, reason) {
+  if (!run.skipped.has(fullPath)) {
+    run.skipped.set(fullPath, reason);
+    logDebug(`  ⏭️  Skipped ${path.relative(run.vaultPath, fullPath)}: ${reason}`);
+  }
 }
 
 /**
- * Build folder structure with heading hierarchy (h1, h2, h3, etc.)
- * Returns formatted content with headings for folders respecting folder path depth
- * headingLevel is the starting level (e.g., 2 for h2)
- * @param {string} dirPath - Full path to the directory
- * @param {string} vaultRootPath - Root path of the vault
- * @param {number} headingLevel - Starting heading level (default: 2 for h2)
- * @param {number} maxDepth - Maximum depth to traverse (default: 10)
- * @param {number} currentDepth - Current depth (internal use)
- * @param {string} relativePathPrefix - Relative path prefix for this directory in zip (for accurate link generation)
+ * Recursively process directory and add files to zip
+ * Creates Sets for each folder level
+ * Only leaf markdown files are marked as Pages
+ * @param {string} dir - Directory to process
+ * @param {object} sink - Output sink (see OUTPUT_SINKS)
+ * @param {string} relativePath - Relative path for files in zip
+ * @param {string} exportRootPath - Root path for this export (treats this as the vault root)
+ * @param {boolean} recursive - Also process subdirectories (false for the vault root, whose folders are processed separately)
  */
-function buildFolderStructure(dirPath, vaultRootPath, headingLevel = 2, maxDepth = 10, currentDepth = 0, relativePathPrefix = '') {
-  if (currentDepth >= maxDepth) {
-    return '';
-  }
-  
+function processDirectory(dir, sink, relativePath = '', exportRootPath = null, recursive = true) {
   try {
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-    const content = [];
+    // Use export root path if provided, otherwise use vault path
+    const effectiveRootPath = exportRootPath || run.vaultPath;
+    
+    // Skip deleted directories entirely
+    const dirName = path.basename(dir);
+    if (isDeleted(dir, dirName)) {
+      return;
+    }
+    
+    // Get or create Set info for this directory
+    // For exports, we need to check against the export root, not the vault root
+    const setInfo = getSetInfoForExport(dir, relativePath, effectiveRootPath);
+    
+    // Create Set file for ALL root-level folders (not just those with markdown files)
+    // Skip deleted folders
+    const normalizedDir = normalizePath(dir);
+    const normalizedVaultPath = normalizePath(run.vaultPath);
+    
+    const normalizedRootPath = normalizePath(effectiveRootPath);
+    
+    // Debug: log all root-level folder checks
+    if (normalizedDir !== normalizedRootPath && isRootLevelFolder(dir, effectiveRootPath)) {
+      logDebug(`🔍 Checking root folder: ${setInfo.name} (isRootSet: ${setInfo.isRootSet}, isDeleted: ${setInfo.isDeleted})`);
+    }
+    
+    // Don't create individual Set files for root folders
+    // Only one "vault" Set file is created at the root level
+    // Root folders are treated as subfolders in the vault Set
+    
+    const entries = readDirEntries(dir);
     
     // Separate directories and files
     const directories = [];
     const files = [];
     
     for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-      
-      // Skip hidden files, Set files, and deleted items
-      if (entry.name.startsWith('.') && entry.name !== '.' && entry.name !== '.set.md') {
-        continue;
-      }
-      
-      if (entry.name === '.set.md') {
-        continue;
-      }
+      const fullPath = path.join(dir, entry.name);
       
-      if (isDeleted(fullPath, entry.name)) {
+      // Skip hidden files and Obsidian-specific directories
+      if (entry.name.startsWith('.') && entry.name !== '.') {
         continue;
       }
       
       if (entry.isDirectory()) {
-        directories.push(entry);
-      } else if (entry.isFile() && shouldIncludeFile(fullPath)) {
-        files.push(entry);
-      }
-    }
-    
-    // Sort for consistent output
-    directories.sort((a, b) => a.name.localeCompare(b.name));
-    files.sort((a, b) => a.name.localeCompare(b.name));
-    
-    // Add directories as headings
-    for (const entry of directories) {
-      const fullPath = path.join(dirPath, entry.name);
-      const lowerName = entry.name.toLowerCase();
-      
-      // Skip attachments folders
-      if (lowerName === 'attachments' || lowerName === 'attachment' || lowerName.startsWith('attachments_')) {
-        continue;
-      }
-      
-      // Calculate heading level based on actual folder depth from vault root
-      // This ensures headings respect the folder path structure
-      const folderRelativePath = path.relative(vaultRootPath, fullPath);
-      const depth = folderRelativePath.split(path.sep).filter(p => p && p !== '.').length;
-      const folderHeadingLevel = Math.min(headingLevel + depth - 1, 6); // Max h6, -1 because we want h2 for root folders
-      
-      // Create heading based on calculated depth
-      const heading = '#'.repeat(folderHeadingLevel);
-      content.push(`${heading} ${entry.name}\n`);
-      
-      // Calculate relative path prefix for subdirectory (matches how it's stored in zip)
-      const subRelativePath = relativePathPrefix 
-        ? path.join(relativePathPrefix, entry.name).replace(/\\/g, '/')
-        : path.relative(vaultRootPath, fullPath).replace(/\\/g, '/');
-      
-      // Recursively add subdirectory structure
-      const subContent = buildFolderStructure(fullPath, vaultRootPath, headingLevel, maxDepth, currentDepth + 1, subRelativePath);
-      if (subContent) {
-        content.push(subContent);
+        // Deleted folders and folders matching --exclude are skipped entirely
+        const skipReason = getFolderSkipReason(fullPath, entry.name);
+        if (skipReason) {
+          recordSkipped(fullPath, skipReason);
+        } else {
+          directories.push(entry);
+        }
+      } else if (entry.isFile()) {
+        const skipReason = getFileSkipReason(fullPath);
+        if (skipReason) {
+          recordSkipped(fullPath, skipReason);
+        } else {
+          files.push(entry);
+        }
       }
     }
     
-    // Add leaf files as links (only markdown files)
+    // Process files first
     for (const entry of files) {
-      const ext = path.extname(entry.name).toLowerCase();
-      
-      // Only process markdown files (leaf pages)
-      if (ext !== '.md' && ext !== '.markdown') {
-        continue;
-      }
-      
-      const fullPath = path.join(dirPath, entry.name);
-      
-      // Verify file exists and is actually a file (not a directory)
-      if (!fs.existsSync(fullPath)) {
-        continue;
-      }
-      
       try {
-        const stats = fs.statSync(fullPath);
-        if (!stats.isFile()) {
-          continue;
+        const fullPath = path.join(dir, entry.name);
+        const entryRelativePath = relativePath 
+          ? path.join(relativePath, entry.name).replace(/\\/g, '/')
+          : entry.name;
+        
+        // Path in the zip (sanitized, same mapping as the links pointing at it)
+        const sanitizedPath = getZipPath(fullPath);
+        
+        const ext = path.extname(fullPath).toLowerCase();
+        
+        if (ext === '.md' || ext === '.markdown' || ext === '.canvas') {
+          // Skip Set files (they're created separately)
+          if (entry.name === '.set.md') {
+            continue;
+          }
+        
+          // Process markdown files as Pages
+          // Determine Set info based on actual file path structure
+          const normalizedDir = normalizePath(dir);
+          const normalizedRootPath = normalizePath(effectiveRootPath);
+          const normalizedVaultPath = normalizePath(run.vaultPath);
+        
+          // If file is in vault root (not in any folder), no Set info
+          // Otherwise, use Set info for the directory
+          let noteSetInfo = null;
+          if (normalizedDir !== normalizedVaultPath) {
+            // Always recalculate rootSet to ensure it's correct for nested folders
+            // This is critical for subfolders and sub-subfolders
+            const rootSet = getRootSetForPathExport(dir, effectiveRootPath);
+          
+            if (rootSet) {
+              // Use the setInfo for this directory, but ensure rootSet is set correctly
+              noteSetInfo = setInfo;
+            
+              // If setInfo doesn't exist or doesn't have the correct rootSet, update it
+              if (!noteSetInfo) {
+                noteSetInfo = getSetInfoForExport(dir, relativePath, effectiveRootPath);
+              }
+            
+              // Always ensure rootSet is set correctly (in case it was missing or wrong)
+              if (!noteSetInfo.rootSet || noteSetInfo.rootSet !== rootSet) {
+                noteSetInfo.rootSet = rootSet;
+                // Debug: log when we fix the rootSet
+                if (noteSetInfo.rootSet !== rootSet) {
+                  logDebug(`  🔧 Fixed rootSet for ${entry.name} in ${dir}: ${noteSetInfo.rootSet} -> ${rootSet}`);
+                }
+              }
+            } else {
+              // If no rootSet found, still use setInfo but log a warning
+              noteSetInfo = setInfo;
+              if (noteSetInfo && !noteSetInfo.rootSet) {
+                recordWarning(`No rootSet found for file ${entry.name} in ${dir} (relativePath: ${relativePath})`, '');
+              }
+            }
+          }
+        
+          // Calculate the markdown file's relative directory and full path for image path resolution
+          const markdownRelativeDir = entryRelativePath 
+            ? path.dirname(entryRelativePath).replace(/\\/g, '/')
+            : '';
+          const markdownRelativePathInZip = sanitizedPath; // This is the sanitized path that will be used in zip
+        
+          // Canvases and Excalidraw drawings become pages too
+          let processedContent;
+          if (ext === '.canvas') {
+            processedContent = processCanvasFile(fullPath, noteSetInfo);
+            logInfo(`  🗺️  Canvas: ${sanitizedPath}`);
+          } else if (isExcalidrawFile(fullPath)) {
+            const drawing = processExcalidrawFile(fullPath, noteSetInfo);
+            processedContent = drawing.content;
+            if (drawing.data !== null) {
+              sink.append(drawing.data, { name: drawing.dataPath });
+              run.attachments.push({ source: fullPath, path: drawing.dataPath });
+            }
+            logInfo(`  ✏️  Drawing: ${sanitizedPath}`);
+          } else {
+            processedContent = processMarkdownFile(fullPath, noteSetInfo, markdownRelativeDir, markdownRelativePathInZip);
+            logInfo(`  📄 Page: ${sanitizedPath}`);
+          }
+          sink.append(processedContent, { name: sanitizedPath });
+          const pageType = parseFrontmatter(processedContent).data.type;
+          run.pages.push({ source: fullPath, path: sanitizedPath, type: pageType });
+        } else {
+          // Copy all other files as-is (images, PDFs, attachments, etc.)
+          // They are streamed by the sink, not read into memory; check now that they can be read
+          // (prefetchVault already tried), so an unreadable file is a failed file instead of a failed export
+          getFileStats(fullPath);
+          appendFileToSink(sink, fullPath, sanitizedPath);
+          run.attachments.push({ source: fullPath, path: sanitizedPath });
+          // Log image files specifically for debugging
+          const ext = path.extname(fullPath).toLowerCase();
+          if (['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp', '.ico', '.tiff', '.tif', '.heic', '.heif'].includes(ext)) {
+            logInfo(`  🖼️  Image: ${sanitizedPath}`);
+          } else {
+            logInfo(`  ✓ Attachment: ${sanitizedPath}`);
+          }
         }
       } catch (err) {
-        continue;
+        // Keep going with the other files; the failure is reported at the end
+        recordFailure(path.join(dir, entry.name), err);
       }
+    }
+    
+    // Process subdirectories recursively
+    if (!recursive) {
+      return;
+    }
+    for (const entry of directories) {
+      const fullPath = path.join(dir, entry.name);
+      const entryRelativePath = relativePath 
+        ? path.join(relativePath, entry.name).replace(/\\/g, '/')
+        : entry.name;
       
-      // Calculate relative path the same way files are added to zip
-      // This ensures links match exactly how files are stored
-      let fileRelativePath;
-      if (relativePathPrefix) {
-        // Use the same calculation as in processDirectory
-        fileRelativePath = path.join(relativePathPrefix, entry.name).replace(/\\/g, '/');
-      } else {
-        // Fallback to relative from vault root
-        fileRelativePath = path.relative(vaultRootPath, fullPath).replace(/\\/g, '/');
-      }
+      // Sanitize path for consistency (replace spaces with underscores)
+      const sanitizedRelativePath = sanitizePathForLink(entryRelativePath);
       
-      // Sanitize path for link (replace spaces with underscores) - matches zip file paths
-      let sanitizedPath = sanitizePathForLink(fileRelativePath);
-      // Ensure the path ends with .md (in case sanitization removed it)
-      if (!sanitizedPath.toLowerCase().endsWith('.md') && !sanitizedPath.toLowerCase().endsWith('.markdown')) {
-        sanitizedPath += ext;
+      processDirectory(fullPath, sink, sanitizedRelativePath, effectiveRootPath);
+    }
+  } catch (err) {
+    recordFailure(dir, err);
+  }
+}
+
+/**
+ * Get the first markdown file in a folder (for creating links)
+ */
+function getFirstMarkdownFile(folderPath) {
+  try {
+    const entries = readDirEntries(folderPath);
+    for (const entry of entries) {
+      if (entry.isFile()) {
+        const ext = path.extname(entry.name).toLowerCase();
+        if (ext === '.md' || ext === '.markdown') {
+          if (entry.name !== '.set.md' && !isDeleted(path.join(folderPath, entry.name), entry.name)) {
+            return entry.name;
+          }
+        }
+      } else if (entry.isDirectory()) {
+        // Recursively check subdirectories
+        const subPath = path.join(folderPath, entry.name);
+        if (!isDeleted(subPath, entry.name)) {
+          const found = getFirstMarkdownFile(subPath);
+          if (found) {
+            return path.join(entry.name, found);
+          }
+        }
       }
-      // Ensure path uses forward slashes (not backslashes) - critical for Anytype
-      sanitizedPath = sanitizedPath.replace(/\\/g, '/');
-      const displayName = path.basename(entry.name, ext);
-      // Use the sanitized path that matches exactly how the file is stored in the zip
-      content.push(`- [${displayName}](${sanitizedPath})\n`);
     }
-    
-    return content.length > 0 ? content.join('') : '';
   } catch (err) {
-    return '';
+    // If we can't read, return null
   }
+  return null;
 }
 
 /**
- * Create formatted page for folder structure
- * Uses heading hierarchy (h1, h2, h3) for folders and links to leaf pages
+ * Create vault Set page with formatted folder structure
+ * Uses heading hierarchy (h1, h2, h3) for folders respecting folder path depth
+ * Root-level notes are listed first, directly under the vault heading
+ * @param {Array<object>} rootFolders - Root-level folders ({ name, path })
+ * @param {Array<object>} rootFiles - Files directly in the vault root ({ name, path })
  */
-function createSetFile(setInfo) {
-  // Create a page (not a Set) with folder structure
+function createVaultSetFile(rootFolders, rootFiles = []) {
+  const rootNotes = rootFiles.filter(file => {
+    const ext = path.extname(file.name).toLowerCase();
+    return ext === '.md' || ext === '.markdown' || ext === '.canvas';
+  });
+  
+  if ((!rootFolders || rootFolders.length === 0) && rootNotes.length === 0) {
+    logError('⚠️  createVaultSetFile called with empty rootFolders array!');
+    return `---\ntype: Set\nname: ${JSON.stringify(run.settings.rootSetName)}\n---\n\n# ${run.settings.rootSetName}\n\n*No root folders found.*\n`;
+  }
+  
+  // Create a Set with folder structure
   const frontmatter = {
-    type: 'Page',
-    name: setInfo.name
+    type: 'Set',
+    name: run.settings.rootSetName
   };
   
   const frontmatterStr = '---\n' + 
     Object.entries(frontmatter)
-      .map(([key, value]) => `${key}: ${typeof value === 'string' ? `"${value}"` : value}`)
+      .map(([key, value]) => `${key}: ${typeof value === 'string' ? JSON.stringify(value) : value}`)
       .join('\n') + 
     '\n---\n\n';
   
   // Build folder structure with heading hierarchy
-  // Start with h1 for the root folder name
-  let content = `# ${setInfo.name}\n\n`;
+  // Start with h1 for vault
+  let content = `# ${run.settings.rootSetName}\n\n`;
   
-  // Build folder structure starting from h2 (subfolders)
-  const folderStructure = buildFolderStructure(setInfo.path, setInfo.path, 2);
+  // Add root-level notes as links before the folders
+  if (rootNotes.length > 0) {
+    const sortedNotes = [...rootNotes].sort((a, b) => a.name.localeCompare(b.name));
+    for (const note of sortedNotes) {
+      const ext = path.extname(note.name);
+      content += `- [${path.basename(note.name, ext)}](${getZipPath(note.path)})\n`;
+    }
+    content += '\n';
+  }
   
-  if (folderStructure) {
-    content += folderStructure;
-  } else {
-    content += `*No subfolders or pages found.*\n`;
+  // Add root folders as h2 headings with their structure
+  const foldersNeedingEmptyFiles = [];
+  logDebug(`📋 Processing ${rootFolders.length} root folder(s) for vault Set...`);
+  
+  for (const folder of rootFolders) {
+    if (!folder || !folder.name) {
+      logError('⚠️  Invalid folder in rootFolders:', folder);
+      continue;
+    }
+    
+    logDebug(`  Processing folder: ${folder.name}`);
+    
+    // Build folder structure starting from h2 for root folders
+    // The buildFolderStructure function will use proper heading levels based on depth
+    // Calculate relative path prefix for this root folder (matches how it's stored in zip)
+    const folderRelativePath = path.relative(run.vaultPath, folder.path).replace(/\\/g, '/');
+    const folderStructure = buildFolderStructure(folder.path, run.vaultPath, 2, 10, 0, folderRelativePath);
+    
+    if (folderStructure) {
+      content += folderStructure;
+    } else {
+      // If no markdown files found, create an empty .md file for this folder
+      const firstFile = getFirstMarkdownFile(folder.path);
+      if (!firstFile) {
+        const emptyFileName = `${folder.name}.md`;
+        // Use the same path mapping as the zip entries
+        const emptyFileFullPath = path.join(folder.path, emptyFileName);
+        const filePath = getZipPath(emptyFileFullPath);
+        content += `## ${folder.name}\n\n- [${folder.name}](${filePath})\n\n`;
+        foldersNeedingEmptyFiles.push({
+          name: folder.name,
+          path: folder.path,
+          emptyFilePath: filePath,
+          emptyFileName: emptyFileName
+        });
+        recordWarning(`No markdown file found, will create empty: ${filePath}`);
+      } else {
+        // Use the same path mapping as the zip entries
+        const firstFileFullPath = path.join(folder.path, firstFile);
+        const filePath = getZipPath(firstFileFullPath);
+        content += `## ${folder.name}\n\n- [${firstFile.replace(/\.md$/i, '')}](${filePath})\n\n`;
+      }
+    }
   }
   
+  // Store folders needing empty files for later creation
+  run.foldersNeedingEmptyFiles = foldersNeedingEmptyFiles;
+  
   return frontmatterStr + content;
 }
 
 /**
- * Check if a file path is directly in a root folder (not in a subfolder)
- * Compares the file's directory path with the vault root to determine if it's a root-level folder
+ * Create an error that carries the exit code the CLI should use for it
  */
-function isDirectlyInRootFolder(filePath) {
-  if (!filePath) return false;
-  try {
-    const fileDir = path.dirname(filePath);
-    const normalizedFileDir = normalizePath(fileDir);
-    const normalizedVaultPath = normalizePath(vaultPath);
-    
-    // If file is in vault root, it's not in a root folder
-    if (normalizedFileDir === normalizedVaultPath) {
-      return false;
-    }
-    
-    // Check if the file's directory is a root-level folder (direct child of vault)
-    return isRootLevelFolder(fileDir, vaultPath);
-  } catch (err) {
-    return false;
-  }
+function createExitError(message, exitCode) {
+  const err = new Error(message);
+  err.exitCode = exitCode;
+  return err;
 }
 
 /**
- * Highlight tags in markdown content by making them bold
- * Converts #tag to **#tag** for better visibility
- * @param {string} content - Markdown content
- * @returns {string} Content with highlighted tags
+ * Result of the current run, as resolved by convert()
  */
-function highlightTags(content) {
-  // Match Obsidian tags: #tag or #tag/subtag
-  // Tags must be:
-  // - At start of line, or after whitespace/punctuation (not part of a word)
-  // - Followed by whitespace, punctuation, or end of line (not part of a word)
-  // Tags can contain: alphanumeric, underscores, hyphens, and slashes
-  const tagRegex = /(?:^|[\s\W])(#([a-zA-Z0-9_\-/]+))(?=[\s\W]|$)/g;
+function getRunResult() {
+  return {
+    output: run.dryRun ? null : run.outputPath,
+    format: run.sink ? 'custom' : run.format,
+    volumes: run.volumes,
+    manifest: run.manifest,
+    changes: run.changes,
+    dryRun: run.dryRun,
+    pages: run.pages,
+    attachments: run.attachments,
+    skipped: [...run.skipped].map(([skippedPath, reason]) => ({ path: skippedPath, reason })),
+    brokenLinks: run.brokenLinks,
+    warnings: run.warnings,
+    failures: run.failures
+  };
+}
+
+/**
+ * Convert an Obsidian vault to an Anytype zip (or directory)
+ * Each call works on its own state; calls made while another conversion is
+ * running wait for it to finish
+ * @param {object} params
+ * @param {string} params.vault - Obsidian vault to convert
+ * @param {string} params.output - Zip file (or directory for format 'dir') to create
+ * @param {object} [params.options] - { format, sink, maxZipSize, incremental, stateFile, concurrency, dryRun, strict,
+ *   include, exclude, logLevel } and project settings (logLevel defaults to 'silent')
+ * @returns {Promise<object>} { output, format, volumes, manifest, changes, dryRun, pages, attachments, skipped, brokenLinks,
+ *   warnings, failures }
+ *   pages/attachments are { source, path } (vault file and path in the export),
+ *   failures are { path, error }; rejects with err.exitCode set for invalid options (USAGE: unknown keys,
+ *   values of the wrong type), a missing vault or a write error
+ */
+function convert({ vault = DEFAULT_VAULT_PATH, output, options = {} } = {}) {
+  const optionsError = getOptionsError(options);
+  if (optionsError) {
+    return Promise.reject(optionsError);
+  }
   
-  // Split content by code blocks to avoid highlighting tags in code
-  const codeBlockRegex = /```[\s\S]*?```|`[^`]+`/g;
-  const parts = [];
-  let lastIndex = 0;
-  let match;
+  const context = createRunContext({
+    ...options,
+    vault,
+    output: output || (options.format === 'dir' ? DEFAULT_OUTPUT_DIR : DEFAULT_OUTPUT_PATH),
+    logLevel: options.logLevel || 'silent'
+  });
   
-  // Extract non-code parts
-  while ((match = codeBlockRegex.exec(content)) !== null) {
-    if (match.index > lastIndex) {
-      parts.push({
-        text: content.substring(lastIndex, match.index),
-        start: lastIndex,
-        end: match.index
-      });
-    }
-    parts.push({
-      text: match[0],
-      start: match.index,
-      end: match.index + match[0].length,
-      isCode: true
-    });
-    lastIndex = match.index + match[0].length;
+  const conversion = conversionQueue.then(() => {
+    run = context;
+    return convertToAnytype();
+  });
+  // A failed conversion doesn't stop the ones queued after it
+  conversionQueue = conversion.catch(() => {});
+  return conversion;
+}
+
+/**
+ * Watch a vault and export it again (incrementally) after each burst of changes
+ * The vault is exported once when watching starts. Changes in hidden folders (.obsidian, .trash),
+ * excluded and deleted folders and in the export itself are ignored
+ * @param {object} params - vault, output and options as for convert (incremental is always on)
+ * @param {number} [params.debounce] - Milliseconds without changes before exporting
+ * @param {Function} [params.onResult] - Called with (result, changedPaths) after each export
+ * @param {Function} [params.onError] - Called with (err, changedPaths) when an export or the watcher fails
+ * @returns {object} { close() } - stops watching; returns a promise of the running export
+ * @throws {Error} If the options are invalid (err.exitCode USAGE), the vault doesn't exist (err.exitCode VAULT_MISSING), or fs.watch can't watch
+ *   subfolders (Linux before Node.js 19.1, err.exitCode USAGE)
+ */
+function watch({ vault = DEFAULT_VAULT_PATH, output, options = {}, debounce = WATCH_DEBOUNCE_MS, onResult = () => {}, onError = () => {} } = {}) {
+  // Recursive fs.watch exists on Linux since Node.js 19.1 (macOS and Windows have always had it)
+  const [major, minor] = process.versions.node.split('.').map(Number);
+  if (process.platform === 'linux' && (major < 19 || (major === 19 && minor < 1))) {
+    throw createExitError(`Watch mode needs Node.js 19.1 or later on Linux (running ${process.version})`, EXIT_CODES.USAGE);
   }
-  if (lastIndex < content.length) {
-    parts.push({
-      text: content.substring(lastIndex),
-      start: lastIndex,
-      end: content.length
-    });
+  
+  const optionsError = getOptionsError(options);
+  if (optionsError) {
+    throw optionsError;
   }
   
-  // If no code blocks found, use entire content
-  if (parts.length === 0) {
-    parts.push({
-      text: content,
-      start: 0,
-      end: content.length
-    });
+  if (!fs.existsSync(vault) || !fs.statSync(vault).isDirectory()) {
+    throw createExitError(`Vault path does not exist or is not a directory: ${vault}`, EXIT_CODES.VAULT_MISSING);
   }
   
-  // Process each part
-  const processedParts = parts.map(part => {
-    if (part.isCode) {
-      // Don't modify code blocks
-      return part.text;
+  const settings = mergeProjectSettings(options);
+  const outputPath = output || (options.format === 'dir' ? DEFAULT_OUTPUT_DIR : DEFAULT_OUTPUT_PATH);
+  
+  const isIgnored = (relativePath) => {
+    if (isExportOutput(path.join(vault, relativePath), outputPath, options.stateFile || null)) {
+      return true;
     }
-    
-    // Highlight tags in non-code parts
-    let processedText = part.text;
-    // Reset regex lastIndex
-    tagRegex.lastIndex = 0;
-    const replacements = [];
-    
-    // Find all tag matches
-    let tagMatch;
-    while ((tagMatch = tagRegex.exec(part.text)) !== null) {
-      const fullMatch = tagMatch[0]; // Includes preceding char (space/punctuation)
-      const tagWithHash = tagMatch[1]; // The #tag part
-      const tagName = tagMatch[2]; // Just the tag name
-      
-      // Only highlight if not already bold
-      if (!part.text.substring(Math.max(0, tagMatch.index - 2), tagMatch.index + tagMatch[0].length + 2).includes('**')) {
-        replacements.push({
-          index: tagMatch.index,
-          length: tagMatch[0].length,
-          replacement: fullMatch.replace(tagWithHash, `**${tagWithHash}**`)
-        });
-      }
+    return relativePath.split(/[\\/]/).some(name =>
+      name.startsWith('.') ||
+      matchesNamePattern(name, settings.excludedFolders) ||
+      matchesNamePattern(name, settings.trashPatterns));
+  };
+  
+  const pending = new Set();
+  let timer = null;
+  let running = null;
+  let closed = false;
+  
+  // Export with the changes collected so far; changes made meanwhile trigger the next export
+  const exportVault = () => {
+    timer = null;
+    if (running || closed) {
+      return;
     }
-    
-    // Apply replacements in reverse order to maintain indices
-    replacements.reverse().forEach(repl => {
-      processedText = processedText.substring(0, repl.index) + 
-                      repl.replacement + 
-                      processedText.substring(repl.index + repl.length);
-    });
-    
-    return processedText;
+    const changedPaths = [...pending].sort();
+    pending.clear();
+    running = convert({ vault, output, options: { ...options, incremental: true } })
+      .then(result => onResult(result, changedPaths), err => onError(err, changedPaths))
+      .then(() => {
+        running = null;
+        if (pending.size > 0 && !timer) {
+          exportVault();
+        }
+      });
+  };
+  
+  const watcher = fs.watch(vault, { recursive: true }, (eventType, filename) => {
+    if (!filename || isIgnored(filename)) {
+      return;
+    }
+    pending.add(filename.replace(/\\/g, '/'));
+    clearTimeout(timer);
+    timer = setTimeout(exportVault, debounce);
   });
+  watcher.on('error', err => onError(err, []));
   
-  return processedParts.join('');
+  exportVault();
+  
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      watcher.close();
+      return running || Promise.resolve();
+    }
+  };
 }
 
 /**
- * Extract tags from markdown content
- * Handles Obsidian tags: #tag, #tag/subtag, #tag/subtag/subsubtag
- * Tags can appear at start of line, after whitespace, or standalone
- * @param {string} content - Markdown content
- * @returns {Array<string>} Array of unique tags
+ * Main function to convert Obsidian vault to Anytype zip
+ * Creates one zip with a root Set file containing all root folders
+ * Works on the current run context (see convert)
+ * @returns {Promise<object>} Run result (see getRunResult)
  */
-function extractTags(content) {
-  const tags = new Set();
-  
-  // Match Obsidian tags: #tag or #tag/subtag
-  // Tags must be:
-  // - At start of line, or after whitespace/punctuation (not part of a word)
-  // - Followed by whitespace, punctuation, or end of line (not part of a word)
-  // Tags can contain: alphanumeric, underscores, hyphens, and slashes
-  // This regex ensures tags are standalone, not embedded in words
-  const tagRegex = /(?:^|[\s\W])#([a-zA-Z0-9_\-/]+)(?=[\s\W]|$)/g;
-  
-  // Split content by code blocks to avoid matching tags in code
-  const codeBlockRegex = /```[\s\S]*?```|`[^`]+`/g;
-  const parts = [];
-  let lastIndex = 0;
-  let match;
-  
-  // Extract non-code parts
-  while ((match = codeBlockRegex.exec(content)) !== null) {
-    if (match.index > lastIndex) {
-      parts.push(content.substring(lastIndex, match.index));
-    }
-    lastIndex = match.index + match[0].length;
+async function convertToAnytype() {
+  // Check if vault path exists
+  if (!fs.existsSync(run.vaultPath)) {
+    throw createExitError(`Vault path does not exist: ${run.vaultPath}`, EXIT_CODES.VAULT_MISSING);
   }
-  if (lastIndex < content.length) {
-    parts.push(content.substring(lastIndex));
+  
+  // Check if it's a directory
+  const stats = fs.statSync(run.vaultPath);
+  if (!stats.isDirectory()) {
+    throw createExitError(`Vault path is not a directory: ${run.vaultPath}`, EXIT_CODES.VAULT_MISSING);
   }
   
-  // If no code blocks found, use entire content
-  const textToSearch = parts.length > 0 ? parts.join('') : content;
+  logInfo(`Converting Obsidian vault: ${run.vaultPath}`);
+  logInfo(run.dryRun ? `Output: ${run.outputPath} (dry run, nothing is written)` : `Output: ${run.outputPath}`);
+  logInfo('---');
   
-  // Extract tags from non-code parts
-  let tagMatch;
-  // Reset regex lastIndex to ensure we search from the beginning
-  tagRegex.lastIndex = 0;
-  while ((tagMatch = tagRegex.exec(textToSearch)) !== null) {
-    const tag = tagMatch[1];
-    if (tag && tag.length > 0) {
-      // Normalize tag (trim and ensure it's valid)
-      const normalizedTag = tag.trim();
-      if (normalizedTag.length > 0) {
-        tags.add(normalizedTag);
+  // Find all root-level folders and files
+  const rootFolders = [];
+  const rootFiles = [];
+  try {
+    const entries = fs.readdirSync(run.vaultPath, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isFile()) {
+        const fullPath = path.join(run.vaultPath, entry.name);
+        
+        // Skip hidden and deleted files, and files that aren't exported
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+        const skipReason = getFileSkipReason(fullPath);
+        if (skipReason) {
+          recordSkipped(fullPath, skipReason);
+          continue;
+        }
+        
+        rootFiles.push({
+          name: entry.name,
+          path: fullPath
+        });
+      } else if (entry.isDirectory()) {
+        const fullPath = path.join(run.vaultPath, entry.name);
+        
+        // Skip hidden directories and deleted folders
+        if (entry.name.startsWith('.') && entry.name !== '.') {
+          continue;
+        }
+        
+        const skipReason = getFolderSkipReason(fullPath, entry.name);
+        if (skipReason) {
+          recordSkipped(fullPath, skipReason);
+          continue;
+        }
+        
+        // Skip attachments folders (processed separately below)
+        if (isAttachmentsFolderName(entry.name)) {
+          continue;
+        }
+        
+        rootFolders.push({
+          name: entry.name,
+          path: fullPath
+        });
       }
     }
+  } catch (err) {
+    throw createExitError(`Error reading vault directory: ${err.message}`, EXIT_CODES.VAULT_MISSING);
+  }
+  
+  if (rootFolders.length === 0 && rootFiles.length === 0) {
+    logInfo('No root folders or files found to export.');
+    return getRunResult();
   }
   
-  return Array.from(tags).sort();
-}
-
-/**
- * Add Set and Page metadata to note content
- * Pages in folders use type "SetLeaf"
- * Root-level pages use type "Page"
- * Also extracts and adds tags to frontmatter
- */
-function addPageMetadata(content, setInfo, filePath = null) {
-  // Extract tags from content
-  const tags = extractTags(content);
+  logInfo(`Found ${rootFolders.length} root folder(s):`);
+  rootFolders.forEach((folder, index) => {
+    logInfo(`  ${index + 1}. ${folder.name}`);
+  });
+  logInfo(`Found ${rootFiles.length} root-level file(s)`);
+  logInfo('');
   
-  // No longer tracking unique tags for separate tag files
-  // Tags are now added directly as colorized tag property
-  // Tags are now added directly as colorized tag property
+  logDebug(`📋 Root folders to include in root Set: ${rootFolders.map(f => f.name).join(', ')}`);
+  logInfo('');
   
-  // Debug: log tags found (only for files with tags)
-  if (tags.length > 0 && filePath) {
-    console.log(`    🏷️  Tags found in ${path.basename(filePath)}: ${tags.join(', ')}`);
+  // Read folders and notes ahead, several at a time; the conversion below takes them from memory
+  const prefetched = await prefetchVault(run.vaultPath);
+  logInfo(`📖 Read ${prefetched.notes} note(s) and checked ${prefetched.files} file(s) in ${prefetched.folders} folder(s) (${run.concurrency} at a time)`);
+  
+  // Index all notes and attachments once; link and attachment resolution uses this index
+  run.vaultIndex = buildVaultIndex(run.vaultPath);
+  logInfo(`🗂️  Indexed ${run.vaultIndex.notes.length} note(s) and ${run.vaultIndex.files.length} attachment(s)`);
+  
+  // Edges between notes on canvases become relations of the notes
+  collectCanvasRelations();
+  logInfo('');
+  
+  // Where the converted files go: zip, directory, or nowhere for --dry-run
+  const sink = createOutputSink();
+  
+  // Create vault Set file containing all root folders with folder structure
+  const vaultSetContent = createVaultSetFile(rootFolders, rootFiles);
+  logDebug(`📁 Creating vault Set with ${rootFolders.length} folder(s): ${rootFolders.map(f => f.name).join(', ')}`);
+  sink.append(vaultSetContent, { name: 'vault.set.md' });
+  run.pages.push({ source: null, path: 'vault.set.md', type: 'Set' });
+  logInfo(`📁 Vault Set: vault.set.md`);
+  
+  // Create empty .md files for root folders that don't have markdown files
+  for (const folderInfo of run.foldersNeedingEmptyFiles) {
+    const emptyFileContent = `---\ntype: SetLeaf\nset: ${JSON.stringify(run.settings.rootSetName)}\n---\n\n# ${folderInfo.name}\n\nThis is the root folder: **${folderInfo.name}**\n`;
+    sink.append(emptyFileContent, { name: folderInfo.emptyFilePath });
+    run.pages.push({ source: null, path: folderInfo.emptyFilePath, type: 'SetLeaf' });
+    logInfo(`  📄 Created empty file: ${folderInfo.emptyFilePath}`);
   }
   
-  // Check if frontmatter already exists
-  const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n/;
-  const match = content.match(frontmatterRegex);
+  // Process root-level notes (type: Page) and loose root files
+  if (rootFiles.length > 0) {
+    logInfo(`\n📦 Processing root-level files`);
+    processDirectory(run.vaultPath, sink, '', run.vaultPath, false);
+  }
   
-  // Determine type based on actual file path:
-  // - SetLeaf if in any folder (has a rootSet)
-  // - Page if root-level (no Set, file is in vault root)
-  let pageType = 'Page';
-  if (setInfo && setInfo.rootSet) {
-    // All pages in folders use SetLeaf (removed setRoots type)
-    pageType = 'SetLeaf';
+  // Process each root folder (but don't create individual Set files for them)
+  for (const folder of rootFolders) {
+    const sanitizedFolderPath = sanitizePathForLink(folder.name);
+    logInfo(`\n📦 Processing: ${folder.name}`);
+    processDirectory(folder.path, sink, sanitizedFolderPath, run.vaultPath);
   }
   
-  if (match) {
-    // Parse existing frontmatter
-    const existingFrontmatter = match[1];
-    let frontmatterObj = {};
-    
-    // Simple YAML parsing (basic key: value pairs)
-    existingFrontmatter.split('\n').forEach(line => {
-      const colonIndex = line.indexOf(':');
-      if (colonIndex > 0) {
-        const key = line.substring(0, colonIndex).trim();
-        let value = line.substring(colonIndex + 1).trim();
-        // Remove quotes if present
-        if ((value.startsWith('"') && value.endsWith('"')) || 
-            (value.startsWith("'") && value.endsWith("'"))) {
-          value = value.slice(1, -1);
-        }
-        frontmatterObj[key] = value;
-      }
-    });
-    
-    // Add type (SetLeaf for pages in Sets, Page for root pages) and root Set info
-    frontmatterObj.type = pageType;
-    if (setInfo && setInfo.rootSet) {
-      frontmatterObj.set = setInfo.rootSet;
-    }
-    
-    // Add section property for pages with tags - helps Anytype organize and display tags
-    if (tags.length > 0) {
-      // Section can be used to group pages with tags
-      frontmatterObj.section = tags[0]; // Use first tag as section, or could use a default value
-    }
-    
-    // Add tags if any found - format as tags array for Anytype
-    if (tags.length > 0) {
-      // If tags already exist in frontmatter, merge them
-      let existingTags = [];
-      if (frontmatterObj.tags) {
-        // Handle existing tags format
-        if (Array.isArray(frontmatterObj.tags)) {
-          existingTags = frontmatterObj.tags.map(t => typeof t === 'string' ? t : (t.name || t.id || String(t)));
-        } else if (typeof frontmatterObj.tags === 'object') {
-          existingTags = Object.keys(frontmatterObj.tags);
-        } else {
-          existingTags = frontmatterObj.tags.split(',').map(t => t.trim());
+  // Process root-level attachment folders to ensure their files are included
+  try {
+    const entries = readDirEntries(run.vaultPath);
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        const fullPath = path.join(run.vaultPath, entry.name);
+        
+        // Process attachment folders (but skip from rootFolders list)
+        if (isAttachmentsFolderName(entry.name)) {
+          // Skip if deleted or excluded
+          const skipReason = getFolderSkipReason(fullPath, entry.name);
+          if (skipReason) {
+            recordSkipped(fullPath, skipReason);
+            continue;
+          }
+          
+          // Process attachment folder to include all files
+          const sanitizedFolderPath = sanitizePathForLink(entry.name);
+          logInfo(`\n📎 Processing attachments folder: ${entry.name}`);
+          processDirectory(fullPath, sink, sanitizedFolderPath, run.vaultPath);
         }
       }
-      const allTags = [...new Set([...existingTags, ...tags])].sort();
-      
-      // Format tags as simple array of tag names for Anytype
-      // Anytype will recognize this and display them as tags
-      frontmatterObj.tags = allTags;
-      
-      // Remove old tag property if it exists
-      delete frontmatterObj.tag;
-      
-      // Debug: log all tags being added to this page
-      if (filePath && allTags.length > 0) {
-        console.log(`    🏷️  Adding ${allTags.length} tag(s) to ${path.basename(filePath)}: ${allTags.join(', ')}`);
-      }
     }
-    
-    // Rebuild frontmatter
-    const newFrontmatter = '---\n' +
-      Object.entries(frontmatterObj)
-        .map(([key, value]) => {
-          if (key === 'tags' && Array.isArray(value)) {
-            // Format tags as simple YAML array of strings for Anytype
-            if (value.length === 0) {
-              return `${key}: []`;
-            }
-            // Format as simple array of tag names
-            return `${key}:\n${value.map(tag => `  - "${typeof tag === 'string' ? tag : (tag.name || tag.id || String(tag))}"`).join('\n')}`;
-          }
-          return `${key}: ${typeof value === 'string' ? `"${value}"` : value}`;
-        })
-        .join('\n') + 
-      '\n---\n';
-    
-    // Add tags section under title if tags exist
-    let contentWithTags = content.replace(frontmatterRegex, newFrontmatter);
-    if (tags.length > 0) {
-      contentWithTags = addTagsSectionToContent(contentWithTags, tags);
+  } catch (err) {
+    logError(`Error processing attachment folders:`, err.message);
+  }
+  
+  // No longer creating separate tag object files
+  // Tags are now added as a colorized tag property in page frontmatter
+  
+  // Broken links are collected per pass; list them by note and line
+  run.brokenLinks.sort((a, b) => a.source.localeCompare(b.source) || (a.line || 0) - (b.line || 0));
+  
+  // --strict: links and embeds without a target fail the export, and nothing is left behind
+  if (run.strict && run.brokenLinks.length > 0) {
+    await sink.abort();
+    if (run.dryRun) {
+      reportDryRunPlan();
     }
-    return contentWithTags;
+    reportExportProblems();
+    const err = createExitError(`${run.brokenLinks.length} broken link(s) found with --strict, nothing written`, EXIT_CODES.BROKEN_LINKS);
+    err.result = getRunResult();
+    throw err;
+  }
+  
+  const written = await sink.finalize();
+  run.volumes = written.volumes || null;
+  run.manifest = written.manifest || null;
+  run.changes = written.changes || null;
+  if (written.output !== undefined) {
+    run.outputPath = written.output;
+  }
+  if (run.dryRun) {
+    reportDryRunPlan();
+    logInfo('---');
+    logInfo(run.outputPath
+      ? `✓ Dry run complete: ${written.files} file(s) would be written to ${run.outputPath}`
+      : `✓ Dry run complete: no changes since the last export, nothing would be written`);
+  } else if (run.changes && written.files === 0) {
+    logInfo('');
+    logInfo('---');
+    logInfo(`✓ No changes since the last export, nothing written`);
   } else {
-    // Add new frontmatter
-    const frontmatter = {
-      type: pageType,
-      ...(setInfo && setInfo.rootSet && { set: setInfo.rootSet })
-    };
-    
-    // Add section property for pages with tags - helps Anytype organize and display tags
-    if (tags.length > 0) {
-      // Section can be used to group pages with tags
-      frontmatter.section = tags[0]; // Use first tag as section, or could use a default value
-    }
-    
-    if (tags.length > 0) {
-      // Format tags as simple array of tag names for Anytype
-      // Anytype will recognize this and display them as tags
-      frontmatter.tags = tags;
+    logInfo('');
+    logInfo('---');
+    logInfo(`✓ Conversion complete!`);
+    logInfo(`  ${written.files} file(s), ${(written.size / 1024 / 1024).toFixed(2)} MB`);
+    logInfo(run.volumes ? `  Output: ${run.volumes.length} volume(s) next to ${run.outputPath}` : `  Output: ${run.outputPath}`);
+  }
+  reportExportProblems();
+  return getRunResult();
+}
+
+/**
+ * Output sinks receive the converted files. Every sink has the same interface:
+ *   append(content, { name })       - add a file (string or Buffer) at a path of the export
+ *   appendFile(filePath, { name })  - add a file from disk without reading it into memory (optional)
+ *   finalize()                      - Promise of { files, size } once everything is written
+ *   abort()                         - Promise, resolved once partial output is removed
+ * Sinks for --format (a custom sink object can also be passed to convert as options.sink)
+ */
+const OUTPUT_SINKS = {
+  zip: createZipSink,
+  dir: createDirectorySink
+};
+
+/**
+ * Create the sink for the current run
+ * With --incremental, only what changed since the last export reaches it
+ * @throws {Error} For an unknown format
+ */
+function createOutputSink() {
+  if (!run.dryRun && !run.sink) {
+    if (run.maxZipSize && run.format !== 'zip') {
+      throw createExitError('--max-zip-size only works with --format zip', EXIT_CODES.USAGE);
     }
-    
-    const frontmatterStr = '---\n' + 
-      Object.entries(frontmatter)
-        .map(([key, value]) => {
-          if (key === 'tags' && Array.isArray(value)) {
-            // Format tags as YAML array
-            if (value.length === 0) {
-              return `${key}: []`;
-            }
-            // Format as simple array of strings
-            return `${key}:\n${value.map(tag => `  - "${tag}"`).join('\n')}`;
-          }
-          return `${key}: ${typeof value === 'string' ? `"${value}"` : value}`;
-        })
-        .join('\n') + 
-      '\n---\n\n';
-    
-    // Add tags section under title if tags exist
-    let contentWithTags = frontmatterStr + content;
-    if (tags.length > 0) {
-      contentWithTags = addTagsSectionToContent(contentWithTags, tags);
+    if (!OUTPUT_SINKS[run.format]) {
+      throw createExitError(`Unknown output format: ${run.format} (use ${Object.keys(OUTPUT_SINKS).join(' or ')})`, EXIT_CODES.USAGE);
     }
-    return contentWithTags;
   }
+  return run.statePath ? createIncrementalSink(run.statePath) : createTargetSink(run.outputPath);
 }
 
 /**
- * Generate a color for a tag based on its name (consistent hash)
- * @param {string} tagName - Tag name
- * @returns {string} Hex color code
+ * Create the sink the files are written to (a dry-run sink for --dry-run)
+ * @param {string} outputPath - Zip file or directory to write
  */
-function getTagColor(tagName) {
-  // Generate a consistent color based on tag name hash
-  let hash = 0;
-  for (let i = 0; i < tagName.length; i++) {
-    hash = tagName.charCodeAt(i) + ((hash << 5) - hash);
+function createTargetSink(outputPath) {
+  if (run.dryRun) {
+    return createDryRunSink();
   }
-  
-  // Generate a color with good saturation and brightness
-  const hue = Math.abs(hash) % 360;
-  // Use HSL to RGB conversion for vibrant colors
-  const saturation = 65 + (Math.abs(hash) % 20); // 65-85% saturation
-  const lightness = 45 + (Math.abs(hash) % 15); // 45-60% lightness
-  
-  // Convert HSL to RGB
-  const h = hue / 360;
-  const s = saturation / 100;
-  const l = lightness / 100;
-  
-  const c = (1 - Math.abs(2 * l - 1)) * s;
-  const x = c * (1 - Math.abs((h * 6) % 2 - 1));
-  const m = l - c / 2;
-  
-  let r, g, b;
-  if (h < 1/6) {
-    r = c; g = x; b = 0;
-  } else if (h < 2/6) {
-    r = x; g = c; b = 0;
-  } else if (h < 3/6) {
-    r = 0; g = c; b = x;
-  } else if (h < 4/6) {
-    r = 0; g = x; b = c;
-  } else if (h < 5/6) {
-    r = x; g = 0; b = c;
-  } else {
-    r = c; g = 0; b = x;
+  if (run.sink) {
+    return run.sink;
   }
-  
-  r = Math.round((r + m) * 255);
-  g = Math.round((g + m) * 255);
-  b = Math.round((b + m) * 255);
-  
-  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+  if (run.maxZipSize) {
+    return createVolumeSink(outputPath, run.maxZipSize);
+  }
+  // A full export replaces the earlier one; an incremental one only adds its changes
+  return OUTPUT_SINKS[run.format](outputPath, { replace: !run.statePath });
 }
 
 /**
- * Add a tags section under the title in markdown content with colorized tags
- * This makes tags visible in the page content with colors
- * @param {string} content - Markdown content with frontmatter
- * @param {Array<string>} tags - Array of tag names
- * @returns {string} Content with colorized tags section added
+ * Zip path for the changes of an incremental export: the output path if no export is there,
+ * otherwise the first free numbered path (anytype_export.2.zip, anytype_export.3.zip, ...),
+ * so changes that weren't imported yet are never overwritten
+ * Directories (--format dir) and custom sinks are updated in place
  */
-function addTagsSectionToContent(content, tags) {
-  // Find the first heading (title) or start of content after frontmatter
-  const frontmatterRegex = /^---\s*\n[\s\S]*?\n---\s*\n/;
-  const hasFrontmatter = frontmatterRegex.test(content);
-  
-  let contentAfterFrontmatter = content;
-  if (hasFrontmatter) {
-    contentAfterFrontmatter = content.replace(frontmatterRegex, '');
+function getDeltaPath(outputPath) {
+  if (run.sink || run.format !== 'zip') {
+    return outputPath;
   }
-  
-  // Find the first heading (h1, h2, etc.)
-  const headingRegex = /^(#{1,6}\s+.+)$/m;
-  const headingMatch = contentAfterFrontmatter.match(headingRegex);
-  
-  // Create colorized tags section
-  const colorizedTags = tags.map(tag => {
-    const color = getTagColor(tag);
-    // Use HTML span with inline style for colorization
-    return `<span style="background-color: ${color}; color: white; padding: 2px 8px; border-radius: 4px; font-weight: bold; display: inline-block; margin: 2px;">#${tag}</span>`;
-  }).join(' ');
-  
-  const tagsSection = '\n\n<div style="margin: 10px 0;">**Tags:** ' + colorizedTags + '</div>\n\n';
-  
-  if (headingMatch) {
-    // Insert tags section right after the first heading
-    const headingIndex = headingMatch.index + headingMatch[0].length;
-    const beforeHeading = contentAfterFrontmatter.substring(0, headingIndex);
-    const afterHeading = contentAfterFrontmatter.substring(headingIndex);
-    
-    return hasFrontmatter 
-      ? content.replace(frontmatterRegex, '$&') + beforeHeading + tagsSection + afterHeading
-      : beforeHeading + tagsSection + afterHeading;
-  } else {
-    // No heading found, add tags section at the beginning
-    return hasFrontmatter
-      ? content.replace(frontmatterRegex, '$&' + tagsSection)
-      : tagsSection + content;
+  const isTaken = (candidate) => fs.existsSync(candidate) || fs.existsSync(getVolumePath(candidate, 1));
+  const ext = path.extname(outputPath) || '.zip';
+  const base = outputPath.slice(0, outputPath.length - path.extname(outputPath).length);
+  let candidate = outputPath;
+  for (let number = 2; isTaken(candidate); number++) {
+    candidate = `${base}.${number}${ext}`;
   }
+  return candidate;
 }
 
 /**
- * Process a markdown file and convert Obsidian-specific syntax
- * Pages directly in root folders become rootFolders type
- * Pages in subfolders become SetLeaf type
- * Root pages become Page type
- * @param {string} filePath - Full path to the markdown file
- * @param {object} setInfo - Set information for the file
- * @param {string} fileRelativeDir - Relative directory path from export root (for zip structure)
+ * File types that are already compressed: stored in the zip as they are,
+ * compressing them again costs time and saves next to nothing
  */
-function processMarkdownFile(filePath, setInfo, fileRelativeDir = '', fileRelativePathInZip = '') {
-  const content = fs.readFileSync(filePath, 'utf-8');
-  const fileDir = path.dirname(filePath);
-  
-  // Calculate the file's relative path from vault root (for zip structure)
-  const fileRelativePath = path.relative(vaultPath, filePath);
-  let calculatedRelativePathInZip = fileRelativePath.replace(/\\/g, '/');
-  
-  // If fileRelativePathInZip not provided, calculate it from vault root
-  if (!fileRelativePathInZip) {
-    fileRelativePathInZip = calculatedRelativePathInZip;
-  }
-  
-  // If fileRelativeDir not provided, calculate it from vault root
-  if (!fileRelativeDir) {
-    fileRelativeDir = path.dirname(fileRelativePath) === '.' ? '' : path.dirname(fileRelativePath).replace(/\\/g, '/');
+const STORED_EXTENSIONS = [
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif',
+  '.mp3', '.m4a', '.aac', '.ogg', '.flac', '.wma',
+  '.mp4', '.mov', '.avi', '.wmv', '.flv', '.mkv', '.webm',
+  '.zip', '.rar', '.7z', '.gz',
+  '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.epub'
+];
+
+/**
+ * Add a file from disk to a sink, streamed if the sink supports it
+ */
+function appendFileToSink(sink, filePath, name) {
+  if (sink.appendFile) {
+    sink.appendFile(filePath, { name });
+  } else {
+    sink.append(fs.readFileSync(filePath), { name });
   }
+}
+
+/**
+ * Sink writing a zip file with maximum compression
+ * Files from disk are streamed (opened one at a time, with backpressure from the output file)
+ * The zip is written to outputPath.tmp and renamed when it is complete, so an aborted
+ * export (--strict) leaves the zip of the previous export as it was
+ */
+function createZipSink(outputPath) {
+  const tempPath = `${outputPath}.tmp`;
+  const output = createWriteStream(tempPath);
+  const zip = archiver('zip', {
+    zlib: { level: 9 } // Maximum compression
+  });
+  let files = 0;
   
-  let processedContent = content;
-  
-  // Convert Obsidian links
-  processedContent = convertObsidianLinks(processedContent, fileDir);
-  
-  // Convert images/embeds - pass fileRelativePathInZip for correct path calculation
-  processedContent = convertImages(processedContent, fileDir, fileRelativeDir, fileRelativePathInZip);
-  
-  // Highlight tags in content (make them bold for visibility)
-  processedContent = highlightTags(processedContent);
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', (err) => {
+      reject(createExitError(`Could not write ${outputPath}: ${err.message}`, EXIT_CODES.ERROR));
+    });
+    zip.on('error', (err) => {
+      reject(createExitError(`Zip error: ${err.message}`, EXIT_CODES.ERROR));
+    });
+  });
+  // Errors are reported by finalize()
+  written.catch(() => {});
   
-  // Add metadata: rootFolders for pages directly in root folders, SetLeaf for subfolders, Page for root files
-  // setInfo will be null for root files, or the Set info for files in folders
-  processedContent = addPageMetadata(processedContent, setInfo, filePath);
+  // Pipe archive data to the file
+  zip.pipe(output);
   
-  return processedContent;
+  return {
+    append(content, entry) {
+      zip.append(content, { name: entry.name });
+      files++;
+    },
+    appendFile(filePath, entry) {
+      const store = STORED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+      zip.file(filePath, { name: entry.name, store });
+      files++;
+    },
+    finalize() {
+      zip.finalize();
+      return written.then(() => {
+        fs.renameSync(tempPath, outputPath);
+        return { files, size: zip.pointer() };
+      }, (err) => {
+        fs.rmSync(tempPath, { force: true });
+        throw err;
+      });
+    },
+    abort() {
+      // The file is opened asynchronously: remove it once the stream is closed
+      return new Promise((resolve) => {
+        output.on('close', () => {
+          fs.rmSync(tempPath, { force: true });
+          resolve();
+        });
+        zip.abort();
+        output.destroy();
+      });
+    }
+  };
 }
 
 /**
- * Check if a file or folder is marked as deleted
- * Only check explicit deletion markers, not just the word "deleted" in paths
+ * Sink writing the files to a directory (created if needed)
+ * Existing files with the same paths are overwritten. With replace (full exports), files of earlier
+ * exports that weren't written this time (deleted or renamed notes) are removed, so the directory
+ * matches the vault; hidden files and folders (.git) are kept
+ * Files are collected in outputDir.tmp and moved into the directory when the export is complete,
+ * so an aborted export (--strict) doesn't overwrite files of the previous export
+ * @param {string} outputDir - Directory to write
+ * @param {object} [options] - { replace }
  */
-function isDeleted(filePath, name) {
-  const lowerName = name.toLowerCase();
+function createDirectorySink(outputDir, { replace = false } = {}) {
+  const stagingDir = `${outputDir}.tmp`;
+  const writtenNames = [];
+  let size = 0;
   
-  // Only check if the name itself is explicitly "deleted" or "trash"
-  // Don't check if the path contains these words (too aggressive)
-  if (lowerName === 'deleted' || 
-      lowerName === 'trash' ||
-      lowerName.startsWith('deleted_') ||
-      lowerName.startsWith('trash_') ||
-      lowerName.endsWith('_deleted') ||
-      lowerName.endsWith('_trash')) {
-    return true;
-  }
+  // Left over from an export that was interrupted
+  fs.rmSync(stagingDir, { recursive: true, force: true });
   
-  // Check frontmatter for explicit deleted status (for markdown files)
-  // Only check for exact matches, not just containing the word
-  if (path.extname(filePath).toLowerCase() === '.md' || 
-      path.extname(filePath).toLowerCase() === '.markdown') {
-    try {
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n/;
-      const match = content.match(frontmatterRegex);
-      if (match) {
-        const frontmatter = match[1];
-        // Check for explicit deleted: true, status: deleted, etc.
-        // Use regex to match whole key-value pairs
-        if (/\bdeleted\s*:\s*(true|yes|1)\b/i.test(frontmatter) ||
-            /\bstatus\s*:\s*deleted\b/i.test(frontmatter)) {
-          return true;
+  const stage = (name) => {
+    const filePath = path.join(stagingDir, ...name.split('/'));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writtenNames.push(name);
+    return filePath;
+  };
+  
+  const removeStaleFiles = () => {
+    // Never clean up a directory the vault is in (--out pointing at the vault or a parent)
+    const vaultInOutput = path.relative(path.resolve(outputDir), path.resolve(run.vaultPath));
+    if (!vaultInOutput.startsWith('..') && !path.isAbsolute(vaultInOutput)) {
+      recordWarning(`${outputDir} contains the vault: files of earlier exports are not removed`, '');
+      return;
+    }
+    const written = new Set(writtenNames);
+    let removed = 0;
+    const clean = (dir, prefix) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          clean(fullPath, `${prefix}${entry.name}/`);
+          if (fs.readdirSync(fullPath).length === 0) {
+            fs.rmdirSync(fullPath);
+          }
+        } else if (!written.has(prefix + entry.name)) {
+          fs.rmSync(fullPath, { force: true });
+          removed++;
+          logDebug(`  🗑️  Removed: ${prefix}${entry.name}`);
         }
       }
-    } catch (err) {
-      // If we can't read the file, assume not deleted
+    };
+    clean(outputDir, '');
+    if (removed > 0) {
+      logInfo(`🗑️  Removed ${removed} file(s) of earlier exports that are no longer in the vault`);
+    }
+  };
+  
+  return {
+    append(content, entry) {
+      fs.writeFileSync(stage(entry.name), content);
+      size += Buffer.byteLength(content);
+    },
+    appendFile(sourcePath, entry) {
+      const filePath = stage(entry.name);
+      fs.copyFileSync(sourcePath, filePath);
+      size += fs.statSync(filePath).size;
+    },
+    finalize() {
+      for (const name of writtenNames) {
+        const filePath = path.join(outputDir, ...name.split('/'));
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.renameSync(path.join(stagingDir, ...name.split('/')), filePath);
+      }
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+      if (replace) {
+        removeStaleFiles();
+      }
+      return Promise.resolve({ files: writtenNames.length, size });
+    },
+    abort() {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+      return Promise.resolve();
     }
+  };
+}
+
+/**
+ * Parse a size like 500MB, 1.5G or 2000000 (bytes)
+ * @returns {number|null} Size in bytes, or null if it isn't a valid size
+ */
+function parseSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb|g|gb)?$/i);
+  if (!match) {
+    return null;
   }
-  
-  return false;
+  const units = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+  const bytes = Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+  return bytes > 0 ? bytes : null;
 }
 
+// Bytes a zip entry takes besides its data (local header, central directory record, name twice)
+const ZIP_ENTRY_OVERHEAD = 128;
+
 /**
- * Check if a directory contains markdown files (not just attachments)
+ * Path of a zip volume: anytype_export.zip -> anytype_export.part1.zip
  */
-function hasMarkdownFiles(dirPath) {
-  try {
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-    for (const entry of entries) {
-      // Skip hidden files
-      if (entry.name.startsWith('.') && entry.name !== '.') {
-        continue;
-      }
-      
-      // Skip deleted items
-      if (isDeleted(path.join(dirPath, entry.name), entry.name)) {
-        continue;
-      }
-      
-      if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        if (ext === '.md' || ext === '.markdown') {
-          // Skip Set files
-          if (entry.name !== '.set.md') {
-            return true;
-          }
-        }
-      } else if (entry.isDirectory()) {
-        // Recursively check subdirectories
-        if (hasMarkdownFiles(path.join(dirPath, entry.name))) {
-          return true;
-        }
-      }
-    }
-  } catch (err) {
-    // If we can't read the directory, assume no markdown files
+function getVolumePath(outputPath, number) {
+  const ext = path.extname(outputPath) || '.zip';
+  return `${outputPath.slice(0, outputPath.length - path.extname(outputPath).length)}.part${number}${ext}`;
+}
+
+/**
+ * Find the exported files a page refers to (markdown links, images, object relations)
+ * Every link was converted to a path in the export, so path-like words are looked up in the entry names
+ * @param {string} content - Converted page
+ * @param {Set<string>} names - Paths of all entries in the export
+ * @returns {Array<string>} Paths of the linked entries
+ */
+function findLinkedEntries(content, names) {
+  return getLinkCandidates(content).filter(name => names.has(name));
+}
+
+/**
+ * Words of a converted page that may be paths in the export (without #anchors)
+ * @returns {Array<string>} Distinct candidates
+ */
+function getLinkCandidates(content) {
+  const candidates = new Set();
+  for (const word of content.match(/[^\s()[\]"'<>|,]+/g) || []) {
+    candidates.add(word.replace(/#.*$/, ''));
   }
-  return false;
+  return [...candidates];
 }
 
 /**
- * Check if a file should be included in the export
+ * Split the entries of an export into volumes of at most maxSize bytes
+ * Notes that link to each other and their attachments (connected groups) are kept in one volume;
+ * groups larger than a volume are split in link order, so neighbours still end up together
+ * @param {Array<object>} entries - { name, size }
+ * @param {Map<string, Array<string>>} links - Entry name -> linked entry names
+ * @param {number} maxSize - Capacity of a volume in bytes
+ * @returns {Array<Array<object>>} Entries per volume, each in export order
  */
-function shouldIncludeFile(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const name = path.basename(filePath);
+function partitionIntoVolumes(entries, links, maxSize) {
+  // Group linked entries (union-find)
+  const parent = new Map(entries.map(entry => [entry.name, entry.name]));
+  const find = (name) => {
+    while (parent.get(name) !== name) {
+      parent.set(name, parent.get(parent.get(name)));
+      name = parent.get(name);
+    }
+    return name;
+  };
+  for (const [from, targets] of links) {
+    for (const to of targets) {
+      parent.set(find(from), find(to));
+    }
+  }
   
-  // Exclude deleted files
-  if (isDeleted(filePath, name)) {
-    return false;
+  const groupsByRoot = new Map();
+  for (const entry of entries) {
+    const root = find(entry.name);
+    if (!groupsByRoot.has(root)) {
+      groupsByRoot.set(root, []);
+    }
+    groupsByRoot.get(root).push(entry);
   }
   
-  // Exclude Obsidian-specific files
-  const excludedFiles = ['.obsidian', '.trash', '.git'];
-  const excludedExtensions = ['.obsidian', '.DS_Store'];
+  // Groups that don't fit in one volume are cut into chunks, walking the links breadth-first
+  const neighbours = new Map(entries.map(entry => [entry.name, new Set()]));
+  for (const [from, targets] of links) {
+    for (const to of targets) {
+      neighbours.get(from).add(to);
+      neighbours.get(to).add(from);
+    }
+  }
+  const chunks = [];
+  for (const group of groupsByRoot.values()) {
+    const groupSize = group.reduce((sum, entry) => sum + entry.size, 0);
+    if (groupSize <= maxSize) {
+      chunks.push(group);
+      continue;
+    }
+    
+    const byName = new Map(group.map(entry => [entry.name, entry]));
+    const visited = new Set();
+    const ordered = [];
+    // Start from the most linked entry of each not yet visited part
+    const starts = [...group].sort((a, b) => neighbours.get(b.name).size - neighbours.get(a.name).size);
+    for (const start of starts) {
+      const queue = [start.name];
+      while (queue.length > 0) {
+        const name = queue.shift();
+        if (visited.has(name)) {
+          continue;
+        }
+        visited.add(name);
+        ordered.push(byName.get(name));
+        queue.push(...[...neighbours.get(name)].sort());
+      }
+    }
+    
+    let chunk = [];
+    let chunkSize = 0;
+    for (const entry of ordered) {
+      if (chunk.length > 0 && chunkSize + entry.size > maxSize) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkSize = 0;
+      }
+      chunk.push(entry);
+      chunkSize += entry.size;
+    }
+    chunks.push(chunk);
+  }
   
-  // Check if in excluded directory
-  for (const excluded of excludedFiles) {
-    if (filePath.includes(path.sep + excluded + path.sep) || 
-        filePath.includes(path.sep + excluded)) {
-      return false;
+  // First-fit decreasing: biggest chunks first, each into the first volume with room
+  const sizeOf = (chunk) => chunk.reduce((sum, entry) => sum + entry.size, 0);
+  chunks.sort((a, b) => sizeOf(b) - sizeOf(a) || a[0].name.localeCompare(b[0].name));
+  const volumes = [];
+  for (const chunk of chunks) {
+    const size = sizeOf(chunk);
+    const volume = volumes.find(candidate => candidate.size + size <= maxSize);
+    if (volume) {
+      volume.entries.push(...chunk);
+      volume.size += size;
+    } else {
+      volumes.push({ entries: [...chunk], size });
     }
   }
   
-  // Include markdown files and common attachment types
-  const includedExtensions = [
-    // Markdown
-    '.md', '.markdown',
-    // Images
-    '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp', '.ico', '.tiff', '.tif', '.heic', '.heif',
-    // Documents
-    '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp',
-    // Audio
-    '.mp3', '.mp4', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.wma',
-    // Video
-    '.avi', '.mov', '.wmv', '.flv', '.mkv', '.webm',
-    // Archives
-    '.zip', '.rar', '.7z', '.tar', '.gz',
-    // Data
-    '.txt', '.csv', '.json', '.xml', '.yaml', '.yml', '.toml',
-    // Code (sometimes used as attachments)
-    '.js', '.ts', '.py', '.java', '.cpp', '.c', '.h', '.html', '.css',
-    // Other common files
-    '.rtf', '.epub', '.mobi', '.azw', '.fb2'
-  ];
+  const exportOrder = new Map(entries.map((entry, index) => [entry.name, index]));
+  return volumes.map(volume => volume.entries.sort((a, b) => exportOrder.get(a.name) - exportOrder.get(b.name)));
+}
+
+/**
+ * Cut the vault Set down to the pages of one volume
+ * Links to pages in other volumes are removed, and so are headings left without links
+ * @param {string} content - vault.set.md of the whole export
+ * @param {Set<string>} names - Paths of the entries in the volume
+ * @param {number} number - Volume number
+ * @param {number} total - Number of volumes
+ */
+function createSetFragment(content, names, number, total) {
+  const frontmatterMatch = content.match(/^---\s*\n[\s\S]*?\n---\s*\n/);
+  const frontmatterText = frontmatterMatch ? frontmatterMatch[0] : '';
+  const lines = content.substring(frontmatterText.length).split('\n');
   
-  // Include files with known extensions
-  if (includedExtensions.includes(ext)) {
-    return true;
-  }
+  // Keep links into this volume
+  const kept = lines.filter(line => {
+    const link = line.match(/^\s*- \[[^\]]*\]\(([^)]+)\)\s*$/);
+    return !link || names.has(link[1].replace(/#.*$/, ''));
+  });
   
-  // For files without extensions or unknown extensions, include them as attachments
-  // This ensures all attachment files are included, even with uncommon extensions
-  // Only exclude if explicitly in the excluded list
-  if (!excludedExtensions.some(e => name.includes(e))) {
-    return true;
+  // Drop headings (below the title) with no links before the next heading of the same or a higher level
+  const result = [];
+  for (let i = 0; i < kept.length; i++) {
+    const heading = kept[i].match(/^(#{2,6})\s/);
+    if (heading) {
+      let hasLinks = false;
+      for (let j = i + 1; j < kept.length; j++) {
+        const next = kept[j].match(/^(#{1,6})\s/);
+        if (next && next[1].length <= heading[1].length) {
+          break;
+        }
+        if (/^\s*- \[/.test(kept[j])) {
+          hasLinks = true;
+          break;
+        }
+      }
+      if (!hasLinks) {
+        continue;
+      }
+    }
+    result.push(kept[i]);
   }
   
-  return false;
+  const body = result.join('\n').replace(/\n{3,}/g, '\n\n');
+  const titleEnd = body.indexOf('\n');
+  const partNote = `\n\n*Part ${number} of ${total} - pages in other parts are listed in the manifest.*`;
+  return frontmatterText + (titleEnd === -1 ? body + partNote : body.substring(0, titleEnd) + partNote + body.substring(titleEnd));
 }
 
 /**
- * Recursively process directory and add files to zip
- * Creates Sets for each folder level
- * Only leaf markdown files are marked as Pages
- * @param {string} dir - Directory to process
- * @param {object} zip - Zip archive object
- * @param {string} relativePath - Relative path for files in zip
- * @param {string} exportRootPath - Root path for this export (treats this as the vault root)
+ * Sink splitting the export into zip volumes of at most maxSize bytes (--max-zip-size)
+ * Entries are collected first (pages in memory, attachments as paths), then grouped by links
+ * and written as anytype_export.part1.zip, ... with their own vault.set.md and a manifest
+ * Sizes are counted before compression and include the zip headers, so every volume stays under the limit
  */
-function processDirectory(dir, zip, relativePath = '', exportRootPath = null) {
-  try {
-    // Use export root path if provided, otherwise use vault path
-    const effectiveRootPath = exportRootPath || vaultPath;
-    
-    // Skip deleted directories entirely
-    const dirName = path.basename(dir);
-    if (isDeleted(dir, dirName)) {
-      return;
-    }
-    
-    // Get or create Set info for this directory
-    // For exports, we need to check against the export root, not the vault root
-    const setInfo = getSetInfoForExport(dir, relativePath, effectiveRootPath);
-    
-    // Create Set file for ALL root-level folders (not just those with markdown files)
-    // Skip deleted folders
-    const normalizedDir = normalizePath(dir);
-    const normalizedVaultPath = normalizePath(vaultPath);
-    
-    const normalizedRootPath = normalizePath(effectiveRootPath);
-    
-    // Debug: log all root-level folder checks
-    if (normalizedDir !== normalizedRootPath && isRootLevelFolder(dir, effectiveRootPath)) {
-      console.log(`🔍 Checking root folder: ${setInfo.name} (isRootSet: ${setInfo.isRootSet}, isDeleted: ${setInfo.isDeleted})`);
-    }
-    
-    // Don't create individual Set files for root folders
-    // Only one "vault" Set file is created at the root level
-    // Root folders are treated as subfolders in the vault Set
-    
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-    
-    // Separate directories and files
-    const directories = [];
-    const files = [];
-    
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
+function createVolumeSink(outputPath, maxSize) {
+  const entries = [];
+  
+  return {
+    append(content, entry) {
+      entries.push({ name: entry.name, content, size: Buffer.byteLength(content) + ZIP_ENTRY_OVERHEAD + 2 * Buffer.byteLength(entry.name) });
+    },
+    appendFile(filePath, entry) {
+      entries.push({ name: entry.name, filePath, size: getFileStats(filePath).size + ZIP_ENTRY_OVERHEAD + 2 * Buffer.byteLength(entry.name) });
+    },
+    async finalize() {
+      const setEntry = entries.find(entry => entry.name === 'vault.set.md');
+      const names = new Set(entries.map(entry => entry.name));
       
-      // Skip hidden files and Obsidian-specific directories
-      if (entry.name.startsWith('.') && entry.name !== '.') {
-        continue;
+      // Links between entries (the vault Set links to every page and is written to every volume)
+      const links = new Map();
+      for (const entry of entries) {
+        if (entry !== setEntry && entry.content !== undefined) {
+          links.set(entry.name, findLinkedEntries(String(entry.content), names).filter(name => name !== entry.name && name !== 'vault.set.md'));
+        }
       }
       
-      // Skip deleted items
-      if (isDeleted(fullPath, entry.name)) {
-        continue;
+      const capacity = maxSize - (setEntry ? setEntry.size : 0);
+      if (capacity <= 0) {
+        throw createExitError(`--max-zip-size is smaller than vault.set.md (${setEntry.size} bytes)`, EXIT_CODES.USAGE);
       }
-      
-      if (entry.isDirectory()) {
-        directories.push(entry);
-      } else if (entry.isFile() && shouldIncludeFile(fullPath)) {
-        files.push(entry);
+      for (const entry of entries) {
+        if (entry.size > capacity) {
+          recordWarning(`${entry.name} (${(entry.size / 1024 / 1024).toFixed(2)} MB) is larger than --max-zip-size, it gets a volume of its own`, '');
+        }
       }
-    }
-    
-    // Process files first
-    for (const entry of files) {
-      const fullPath = path.join(dir, entry.name);
-      const entryRelativePath = relativePath 
-        ? path.join(relativePath, entry.name).replace(/\\/g, '/')
-        : entry.name;
+      const volumes = partitionIntoVolumes(entries.filter(entry => entry !== setEntry), links, capacity);
       
-      // Sanitize path for zip (replace spaces with underscores)
-      const sanitizedPath = sanitizePathForLink(entryRelativePath);
-      
-      const ext = path.extname(fullPath).toLowerCase();
-      
-      if (ext === '.md' || ext === '.markdown') {
-        // Skip Set files (they're created separately)
-        if (entry.name === '.set.md') {
-          continue;
+      // Which volume each entry ends up in
+      const volumeOf = new Map();
+      volumes.forEach((volumeEntries, index) => {
+        for (const entry of volumeEntries) {
+          volumeOf.set(entry.name, index + 1);
         }
+      });
+      
+      const manifest = {
+        volumes: [],
+        crossVolumeLinks: []
+      };
+      let files = 0;
+      let size = 0;
+      for (let i = 0; i < volumes.length; i++) {
+        const volumePath = getVolumePath(outputPath, i + 1);
+        const volumeNames = new Set(volumes[i].map(entry => entry.name));
+        const zip = createZipSink(volumePath);
         
-        // Process markdown files as Pages
-        // Determine Set info based on actual file path structure
-        const normalizedDir = normalizePath(dir);
-        const normalizedRootPath = normalizePath(effectiveRootPath);
-        const normalizedVaultPath = normalizePath(vaultPath);
-        
-        // If file is in vault root (not in any folder), no Set info
-        // Otherwise, use Set info for the directory
-        let noteSetInfo = null;
-        if (normalizedDir !== normalizedVaultPath) {
-          // Always recalculate rootSet to ensure it's correct for nested folders
-          // This is critical for subfolders and sub-subfolders
-          const rootSet = getRootSetForPathExport(dir, effectiveRootPath);
-          
-          if (rootSet) {
-            // Use the setInfo for this directory, but ensure rootSet is set correctly
-            noteSetInfo = setInfo;
-            
-            // If setInfo doesn't exist or doesn't have the correct rootSet, update it
-            if (!noteSetInfo) {
-              noteSetInfo = getSetInfoForExport(dir, relativePath, effectiveRootPath);
-            }
-            
-            // Always ensure rootSet is set correctly (in case it was missing or wrong)
-            if (!noteSetInfo.rootSet || noteSetInfo.rootSet !== rootSet) {
-              noteSetInfo.rootSet = rootSet;
-              // Debug: log when we fix the rootSet
-              if (noteSetInfo.rootSet !== rootSet) {
-                console.log(`  🔧 Fixed rootSet for ${entry.name} in ${dir}: ${noteSetInfo.rootSet} -> ${rootSet}`);
-              }
-            }
+        if (setEntry) {
+          zip.append(createSetFragment(String(setEntry.content), volumeNames, i + 1, volumes.length), { name: setEntry.name });
+        }
+        for (const entry of volumes[i]) {
+          if (entry.filePath) {
+            zip.appendFile(entry.filePath, { name: entry.name });
           } else {
-            // If no rootSet found, still use setInfo but log a warning
-            noteSetInfo = setInfo;
-            if (noteSetInfo && !noteSetInfo.rootSet) {
-              console.log(`⚠️  Warning: No rootSet found for file ${entry.name} in ${dir} (relativePath: ${relativePath})`);
+            zip.append(entry.content, { name: entry.name });
+          }
+          for (const target of links.get(entry.name) || []) {
+            if (volumeOf.get(target) !== i + 1) {
+              manifest.crossVolumeLinks.push({ from: entry.name, fromVolume: i + 1, to: target, toVolume: volumeOf.get(target) });
             }
           }
         }
         
-        // Calculate the markdown file's relative directory and full path for image path resolution
-        const markdownRelativeDir = entryRelativePath 
-          ? path.dirname(entryRelativePath).replace(/\\/g, '/')
-          : '';
-        const markdownRelativePathInZip = sanitizedPath; // This is the sanitized path that will be used in zip
-        
-        const processedContent = processMarkdownFile(fullPath, noteSetInfo, markdownRelativeDir, markdownRelativePathInZip);
-        zip.append(processedContent, { name: sanitizedPath });
-        console.log(`  📄 Page: ${sanitizedPath}`);
-      } else {
-        // Copy all other files as-is (images, PDFs, attachments, etc.)
-        // This includes all attachment files
-        const fileContent = fs.readFileSync(fullPath);
-        zip.append(fileContent, { name: sanitizedPath });
-        // Log image files specifically for debugging
-        const ext = path.extname(fullPath).toLowerCase();
-        if (['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp', '.ico', '.tiff', '.tif', '.heic', '.heif'].includes(ext)) {
-          console.log(`  🖼️  Image: ${sanitizedPath}`);
-        } else {
-          console.log(`  ✓ Attachment: ${sanitizedPath}`);
-        }
+        const written = await zip.finalize();
+        files += written.files;
+        size += written.size;
+        manifest.volumes.push({
+          file: path.basename(volumePath),
+          size: written.size,
+          files: volumes[i].map(entry => entry.name)
+        });
+        logInfo(`  📦 Volume ${i + 1}/${volumes.length}: ${volumePath} (${written.files} file(s), ${(written.size / 1024 / 1024).toFixed(2)} MB)`);
       }
-    }
-    
-    // Process subdirectories recursively
-    for (const entry of directories) {
-      const fullPath = path.join(dir, entry.name);
-      const entryRelativePath = relativePath 
-        ? path.join(relativePath, entry.name).replace(/\\/g, '/')
-        : entry.name;
       
-      // Sanitize path for consistency (replace spaces with underscores)
-      const sanitizedRelativePath = sanitizePathForLink(entryRelativePath);
+      const manifestPath = `${outputPath.slice(0, outputPath.length - path.extname(outputPath).length)}.manifest.json`;
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+      logInfo(`  📋 Manifest: ${manifestPath} (${manifest.crossVolumeLinks.length} cross-volume link(s))`);
       
-      processDirectory(fullPath, zip, sanitizedRelativePath, effectiveRootPath);
+      return { files, size, volumes: manifest.volumes.map(volume => volume.file), manifest: manifestPath };
+    },
+    abort() {
+      // Nothing is written before finalize()
+      return Promise.resolve();
     }
+  };
+}
+
+// Format of the state file written by --incremental (older state files mean a full export)
+const STATE_FILE_VERSION = 1;
+
+/**
+ * State file of an incremental export: anytype_export.zip -> anytype_export.state.json
+ */
+function getStatePath(outputPath) {
+  return `${outputPath.slice(0, outputPath.length - path.extname(outputPath).length)}.state.json`;
+}
+
+/**
+ * SHA-256 of a string or Buffer
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * SHA-256 of a file, streamed so large attachments aren't loaded into memory
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Read the state of the previous incremental export
+ * @returns {object} Export path -> { source, mtime, size, hash }; empty before the first incremental export
+ * @throws {Error} If the state file exists but can't be read
+ */
+function loadExportState(statePath) {
+  if (!fs.existsSync(statePath)) {
+    logInfo(`🔄 No state file yet (${statePath}): exporting everything`);
+    return {};
+  }
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
   } catch (err) {
-    console.error(`Error processing directory ${dir}:`, err.message);
+    throw createExitError(`Could not read state file ${statePath}: ${err.message} (delete it for a full export)`, EXIT_CODES.ERROR);
+  }
+  if (!state || state.version !== STATE_FILE_VERSION || !state.files) {
+    logInfo(`🔄 State file ${statePath} is from another version: exporting everything`);
+    return {};
   }
+  return state.files;
 }
 
 /**
- * Get the first markdown file in a folder (for creating links)
+ * Sink writing only what changed since the previous export (--incremental)
+ * Every note is still converted, and the converted page is compared with the previous export:
+ * new and changed notes are written, and so are notes whose output changed because a linked
+ * note moved or an embedded note changed. Attachments are written when they changed (their
+ * size or modification time changed and their hash differs) or a written page links to them;
+ * they are hashed in finalize(), `run.concurrency` at a time.
+ * The state file (export path -> source, mtime, size, hash) is updated after a successful export
+ * The output is only created once there is something to write, at a path no earlier export uses
+ * (see getDeltaPath); finalize() resolves with its path as output (null when nothing was written)
+ * @param {string} statePath - State file of the previous export
  */
-function getFirstMarkdownFile(folderPath) {
-  try {
-    const entries = fs.readdirSync(folderPath, { withFileTypes: true });
-    for (const entry of entries) {
-      if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        if (ext === '.md' || ext === '.markdown') {
-          if (entry.name !== '.set.md' && !isDeleted(path.join(folderPath, entry.name), entry.name)) {
-            return entry.name;
-          }
+function createIncrementalSink(statePath) {
+  const previousFiles = loadExportState(statePath);
+  let sink = null;
+  let output = null;
+  const openSink = () => {
+    if (!sink) {
+      output = getDeltaPath(run.outputPath);
+      sink = createTargetSink(output);
+    }
+    return sink;
+  };
+  const hashes = new Map();       // Export path -> hash of the exported content
+  const changedNames = new Set(); // New or changed since the previous export
+  const referenced = new Set();   // Paths linked from the pages that are written
+  const attachments = [];         // { filePath, name }, written once all pages are known
+  let files = 0;
+  
+  const isChanged = (name, hash) => !previousFiles[name] || previousFiles[name].hash !== hash;
+  
+  return {
+    append(content, entry) {
+      const hash = hashContent(content);
+      hashes.set(entry.name, hash);
+      if (isChanged(entry.name, hash)) {
+        changedNames.add(entry.name);
+        getLinkCandidates(String(content)).forEach(name => referenced.add(name));
+        openSink().append(content, entry);
+        files++;
+      }
+    },
+    appendFile(filePath, entry) {
+      // Hashed in finalize(); the entry keeps its place in the order of the changes
+      hashes.set(entry.name, null);
+      attachments.push({ filePath, name: entry.name });
+    },
+    async finalize() {
+      // Same size and modification time as last time: the file isn't read again
+      await mapWithConcurrency(attachments, run.concurrency, async (attachment) => {
+        const stats = getFileStats(attachment.filePath);
+        const record = previousFiles[attachment.name];
+        const hash = record && record.size === stats.size && record.mtime === stats.mtimeMs ? record.hash : await hashFile(attachment.filePath);
+        hashes.set(attachment.name, hash);
+        if (isChanged(attachment.name, hash)) {
+          changedNames.add(attachment.name);
+        }
+      });
+      
+      for (const attachment of attachments) {
+        if (changedNames.has(attachment.name) || referenced.has(attachment.name)) {
+          appendFileToSink(openSink(), attachment.filePath, attachment.name);
+          files++;
         }
-      } else if (entry.isDirectory()) {
-        // Recursively check subdirectories
-        const subPath = path.join(folderPath, entry.name);
-        if (!isDeleted(subPath, entry.name)) {
-          const found = getFirstMarkdownFile(subPath);
-          if (found) {
-            return path.join(entry.name, found);
+      }
+      
+      // Files that failed this time keep their state, they are not gone from the vault
+      const failedSources = new Set(run.failures.map(failure => path.relative(run.vaultPath, failure.path).replace(/\\/g, '/')));
+      const names = [...hashes.keys()];
+      const changes = {
+        added: names.filter(name => !previousFiles[name]),
+        changed: names.filter(name => previousFiles[name] && changedNames.has(name)),
+        unchanged: names.filter(name => !changedNames.has(name)),
+        removed: Object.keys(previousFiles).filter(name => !hashes.has(name) && !failedSources.has(previousFiles[name].source))
+      };
+      logInfo('');
+      logInfo(`🔄 Changes since the last export: ${changes.added.length} new, ${changes.changed.length} changed, ${changes.unchanged.length} unchanged, ${changes.removed.length} removed`);
+      for (const name of changes.removed) {
+        logInfo(`  🗑️  Removed: ${name} (delete it in Anytype if it was imported)`);
+      }
+      
+      // Nothing to import: nothing was opened, earlier exports are left as they are
+      const written = sink ? await sink.finalize() : { files: 0, size: 0 };
+      
+      if (!run.dryRun) {
+        const state = { version: STATE_FILE_VERSION, files: {} };
+        for (const entry of [...run.pages, ...run.attachments]) {
+          const stats = entry.source ? getFileStats(entry.source) : null;
+          state.files[entry.path] = {
+            source: entry.source ? path.relative(run.vaultPath, entry.source).replace(/\\/g, '/') : null,
+            mtime: stats ? stats.mtimeMs : null,
+            size: stats ? stats.size : null,
+            hash: hashes.get(entry.path)
+          };
+        }
+        for (const [name, record] of Object.entries(previousFiles)) {
+          if (!hashes.has(name) && failedSources.has(record.source)) {
+            state.files[name] = record;
           }
         }
+        fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n');
+        logInfo(`  💾 State: ${statePath}`);
       }
+      
+      return { ...written, changes, output };
+    },
+    abort() {
+      return sink ? sink.abort() : Promise.resolve();
     }
-  } catch (err) {
-    // If we can't read, return null
-  }
-  return null;
+  };
 }
 
 /**
- * Create vault Set page with formatted folder structure
- * Uses heading hierarchy (h1, h2, h3) for folders respecting folder path depth
+ * Sink used by --dry-run: records the files that would be written instead of writing them
+ */
+function createDryRunSink() {
+  let files = 0;
+  return {
+    append(content, entry) {
+      files++;
+      logDebug(`  📝 Would write: ${entry.name}`);
+    },
+    appendFile(filePath, entry) {
+      this.append(null, entry);
+    },
+    finalize() {
+      return Promise.resolve({ files, size: 0 });
+    },
+    abort() {
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Print the conversion plan of a dry run: pages with their type, attachments and skipped files
+ * Paths are zip paths; the vault path is added when sanitizing changed it
  */
-function createVaultSetFile(rootFolders) {
-  if (!rootFolders || rootFolders.length === 0) {
-    console.error('⚠️  createVaultSetFile called with empty rootFolders array!');
-    return '---\ntype: Set\nname: vault\n---\n\n# vault\n\n*No root folders found.*\n';
+function reportDryRunPlan() {
+  const describeSource = (entry) => {
+    if (!entry.source) {
+      return ' (generated)';
+    }
+    const sourcePath = path.relative(run.vaultPath, entry.source).replace(/\\/g, '/');
+    return sourcePath === entry.path ? '' : `  <- ${sourcePath}`;
+  };
+  
+  const typeCounts = {};
+  for (const page of run.pages) {
+    typeCounts[page.type] = (typeCounts[page.type] || 0) + 1;
   }
+  const typeWidth = Math.max(0, ...run.pages.map(page => String(page.type).length));
   
-  // Create a Set with folder structure
-  const frontmatter = {
-    type: 'Set',
-    name: 'vault'
-  };
+  logInfo('');
+  logInfo('📋 Conversion plan');
+  logInfo(`\nPages (${run.pages.length}): ${Object.entries(typeCounts).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+  for (const page of run.pages) {
+    logInfo(`  ${String(page.type).padEnd(typeWidth)}  ${page.path}${describeSource(page)}`);
+  }
   
-  const frontmatterStr = '---\n' + 
-    Object.entries(frontmatter)
-      .map(([key, value]) => `${key}: ${typeof value === 'string' ? `"${value}"` : value}`)
-      .join('\n') + 
-    '\n---\n\n';
+  logInfo(`\nAttachments (${run.attachments.length}):`);
+  for (const attachment of run.attachments) {
+    logInfo(`  ${attachment.path}${describeSource(attachment)}`);
+  }
   
-  // Build folder structure with heading hierarchy
-  // Start with h1 for vault
-  let content = `# vault\n\n`;
+  logInfo(`\nSkipped (${run.skipped.size}):`);
+  for (const [skippedPath, reason] of run.skipped) {
+    logInfo(`  ${path.relative(run.vaultPath, skippedPath).replace(/\\/g, '/')}: ${reason}`);
+  }
+}
+
+/**
+ * Print ambiguous links, broken links and failed files
+ */
+function reportExportProblems() {
+  // Report links that matched several notes/files
+  if (run.vaultIndex && run.vaultIndex.ambiguous.size > 0) {
+    logWarn('');
+    logWarn(`⚠️  ${run.vaultIndex.ambiguous.size} ambiguous link(s):`);
+    for (const report of run.vaultIndex.ambiguous.values()) {
+      logWarn(`  ${report.link} in ${report.from}: ${report.candidates.join(', ')} -> using ${report.chosen}`);
+    }
+  }
   
-  // Add root folders as h2 headings with their structure
-  const foldersNeedingEmptyFiles = [];
-  console.log(`📋 Processing ${rootFolders.length} root folder(s) for vault Set...`);
+  // Report links and embeds without a target, per note
+  if (run.brokenLinks.length > 0) {
+    const notes = new Set(run.brokenLinks.map(brokenLink => brokenLink.source));
+    logWarn('');
+    logWarn(`🔗 ${run.brokenLinks.length} broken link(s) in ${notes.size} note(s):`);
+    for (const brokenLink of run.brokenLinks) {
+      logWarn(`  ${describeLinkLocation(brokenLink)}  ${brokenLink.type} ${brokenLink.link} (${brokenLink.target} not found)`);
+    }
+  }
   
-  for (const folder of rootFolders) {
-    if (!folder || !folder.name) {
-      console.error('⚠️  Invalid folder in rootFolders:', folder);
+  if (run.failures.length > 0) {
+    logError('');
+    logError(`❌ ${run.failures.length} file(s) could not be converted:`);
+    for (const failure of run.failures) {
+      logError(`  ${failure.path}: ${failure.error}`);
+    }
+  }
+}
+
+/**
+ * Help text for --help
+ */
+function getHelpText() {
+  return `Usage: node to_anytype.js [options] [vault_path] [output_path]
+
+Convert an Obsidian vault to a zip file for Anytype import.
+
+Options:
+  --vault <path>       Obsidian vault to convert (default: ${DEFAULT_VAULT_PATH})
+  --out <path>         Zip file or directory to create (default: ${DEFAULT_OUTPUT_PATH},
+                       ${DEFAULT_OUTPUT_DIR} with --format dir)
+  --format <zip|dir>   Write a zip file (default) or a plain directory
+  --max-zip-size <size>
+                       Split the export into zip volumes of at most this size
+                       (e.g. 500MB, 2GB), plus a manifest of cross-volume links
+  --incremental        Only write notes and attachments that changed since the last
+                       incremental export (state in <out>.state.json)
+  --state <file>       State file of incremental exports (implies --incremental)
+  --concurrency <n>    Folders and notes read at the same time (default: ${DEFAULT_CONCURRENCY})
+  --watch              Export, then export the changes again after every edit
+                       (incremental; stop with Ctrl+C)
+  --config <file>      Read options from a JSON or YAML file (command-line options
+                       win; default: .obsidian2anytype.json/.yaml in the vault)
+  --dry-run            Convert everything but don't write the zip; prints the
+                       conversion plan (pages, attachments, skipped files)
+  --json               Print the result (or the dry-run plan) as JSON on stdout
+  --link-report <file> Write links and embeds without a target to a JSON file
+  --strict             Fail (exit code ${EXIT_CODES.BROKEN_LINKS}) without writing the zip if any link or
+                       embed has no target
+  --include <glob>     Only export files matching the pattern (repeatable)
+  --exclude <glob>     Skip files and folders matching the pattern (repeatable)
+  --verbose            Show details for every link, image and tag
+  --quiet              Only show warnings and errors
+  -h, --help           Show this help
+  --version            Show the version
+
+Patterns are matched against paths relative to the vault root. Patterns without
+a "/" match at any depth: --exclude "*.pdf" --exclude Archive --include "Projects/**"
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  Success
+  ${EXIT_CODES.ERROR}  Unexpected error (e.g. the zip could not be written)
+  ${EXIT_CODES.USAGE}  Invalid arguments or config file
+  ${EXIT_CODES.VAULT_MISSING}  Vault path does not exist or is not a directory
+  ${EXIT_CODES.PARTIAL_FAILURE}  Export written, but some files could not be converted
+  ${EXIT_CODES.BROKEN_LINKS}  --strict: broken links found, nothing written
+`;
+}
+
+/**
+ * Parse command-line arguments
+ * Positional arguments (vault_path, output_path) are still accepted for compatibility
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {object} Parsed options (only the ones given on the command line)
+ * @throws {Error} On unknown options or missing values
+ */
+function parseCliArgs(argv) {
+  const options = { include: [], exclude: [] };
+  const positional = [];
+  const valueOptions = {
+    '--vault': 'vault',
+    '--out': 'out',
+    '--format': 'format',
+    '--max-zip-size': 'maxZipSize',
+    '--state': 'stateFile',
+    '--concurrency': 'concurrency',
+    '--config': 'config',
+    '--link-report': 'linkReport'
+  };
+  const listOptions = { '--include': 'include', '--exclude': 'exclude' };
+  const flagOptions = {
+    '--incremental': 'incremental',
+    '--watch': 'watch',
+    '--dry-run': 'dryRun',
+    '--json': 'json',
+    '--strict': 'strict',
+    '--verbose': 'verbose',
+    '--quiet': 'quiet',
+    '--help': 'help',
+    '-h': 'help',
+    '--version': 'version'
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    
+    if (!arg.startsWith('-') || arg === '-') {
+      positional.push(arg);
       continue;
     }
     
-    console.log(`  Processing folder: ${folder.name}`);
+    // --name=value or --name value
+    const equalsIndex = arg.indexOf('=');
+    const name = equalsIndex > 0 ? arg.substring(0, equalsIndex) : arg;
+    const inlineValue = equalsIndex > 0 ? arg.substring(equalsIndex + 1) : null;
     
-    // Build folder structure starting from h2 for root folders
-    // The buildFolderStructure function will use proper heading levels based on depth
-    // Calculate relative path prefix for this root folder (matches how it's stored in zip)
-    const folderRelativePath = path.relative(vaultPath, folder.path).replace(/\\/g, '/');
-    const folderStructure = buildFolderStructure(folder.path, vaultPath, 2, 10, 0, folderRelativePath);
+    if (flagOptions[name]) {
+      if (inlineValue !== null) {
+        throw new Error(`Option ${name} does not take a value`);
+      }
+      options[flagOptions[name]] = true;
+      continue;
+    }
     
-    if (folderStructure) {
-      content += folderStructure;
-    } else {
-      // If no markdown files found, create an empty .md file for this folder
-      const firstFile = getFirstMarkdownFile(folder.path);
-      if (!firstFile) {
-        const emptyFileName = `${folder.name}.md`;
-        // Calculate the full relative path from vault root
-        const emptyFileFullPath = path.join(folder.path, emptyFileName);
-        const relativePath = path.relative(vaultPath, emptyFileFullPath).replace(/\\/g, '/');
-        const sanitizedPath = sanitizePathForLink(relativePath);
-        // Ensure .md extension is included
-        let filePath = sanitizedPath.toLowerCase().endsWith('.md') || sanitizedPath.toLowerCase().endsWith('.markdown') 
-          ? sanitizedPath 
-          : sanitizedPath + '.md';
-        // Ensure path uses forward slashes (not backslashes) - critical for Anytype
-        filePath = filePath.replace(/\\/g, '/');
-        content += `## ${folder.name}\n\n- [${folder.name}](${filePath})\n\n`;
-        foldersNeedingEmptyFiles.push({
-          name: folder.name,
-          path: folder.path,
-          emptyFilePath: filePath,
-          emptyFileName: emptyFileName
-        });
-        console.log(`    ⚠️  No markdown file found, will create empty: ${filePath}`);
+    if (valueOptions[name] || listOptions[name]) {
+      const value = inlineValue !== null ? inlineValue : argv[++i];
+      if (value === undefined || value === '') {
+        throw new Error(`Option ${name} requires a value`);
+      }
+      if (valueOptions[name]) {
+        options[valueOptions[name]] = value;
       } else {
-        // Calculate the full relative path from vault root
-        const firstFileFullPath = path.join(folder.path, firstFile);
-        const relativePath = path.relative(vaultPath, firstFileFullPath).replace(/\\/g, '/');
-        const sanitizedPath = sanitizePathForLink(relativePath);
-        // Ensure .md extension is included
-        let filePath = sanitizedPath.toLowerCase().endsWith('.md') || sanitizedPath.toLowerCase().endsWith('.markdown') 
-          ? sanitizedPath 
-          : sanitizedPath + path.extname(firstFile);
-        // Ensure path uses forward slashes (not backslashes) - critical for Anytype
-        filePath = filePath.replace(/\\/g, '/');
-        content += `## ${folder.name}\n\n- [${firstFile.replace(/\.md$/i, '')}](${filePath})\n\n`;
+        options[listOptions[name]].push(value);
       }
+      continue;
     }
+    
+    throw new Error(`Unknown option: ${arg}`);
   }
   
-  // Store folders needing empty files for later creation
-  createVaultSetFile.foldersNeedingEmptyFiles = foldersNeedingEmptyFiles;
+  if (positional.length > 2) {
+    throw new Error(`Unexpected argument: ${positional[2]}`);
+  }
+  if (positional[0] !== undefined) {
+    if (options.vault) {
+      throw new Error('Vault path given twice (positional argument and --vault)');
+    }
+    options.vault = positional[0];
+  }
+  if (positional[1] !== undefined) {
+    if (options.out) {
+      throw new Error('Output path given twice (positional argument and --out)');
+    }
+    options.out = positional[1];
+  }
+  if (options.verbose && options.quiet) {
+    throw new Error('--verbose and --quiet cannot be used together');
+  }
+  if (options.format && !OUTPUT_SINKS[options.format]) {
+    throw new Error(`Unknown format: ${options.format} (use ${Object.keys(OUTPUT_SINKS).join(' or ')})`);
+  }
+  if (options.maxZipSize && parseSize(options.maxZipSize) === null) {
+    throw new Error(`Invalid size for --max-zip-size: ${options.maxZipSize} (e.g. 500MB, 2GB)`);
+  }
+  if (options.concurrency !== undefined && !isValidConfigValue(Number(options.concurrency), 'count')) {
+    throw new Error(`Invalid value for --concurrency: ${options.concurrency} (a whole number of at least 1)`);
+  }
+  if (options.watch && (options.json || options.dryRun)) {
+    throw new Error(`--watch cannot be used with ${options.json ? '--json' : '--dry-run'}`);
+  }
+  if (options.json && options.verbose) {
+    throw new Error('--json and --verbose cannot be used together');
+  }
   
-  return frontmatterStr + content;
+  return options;
 }
 
 /**
- * Main function to convert Obsidian vault to Anytype zip
- * Creates one zip with a root Set file containing all root folders
+ * Config files looked up in the vault folder when --config isn't given
  */
-function convertToAnytype() {
-  // Check if vault path exists
-  if (!fs.existsSync(vaultPath)) {
-    console.error(`Error: Vault path does not exist: ${vaultPath}`);
-    console.error('Usage: node to_anytype.js [vault_path] [output_path]');
-    process.exit(1);
+const CONFIG_FILE_NAMES = ['.obsidian2anytype.json', '.obsidian2anytype.yaml', '.obsidian2anytype.yml'];
+
+/**
+ * Keys allowed in a config file and their types ('*' stands for any key of a nested object)
+ * ('string[]' is a list of strings, 'string map' an object with string values,
+ * 'size' a size like 500MB, 'count' a whole number of at least 1, a list the allowed values)
+ */
+const CONFIG_SCHEMA = {
+  // Same as the command-line options
+  vault: 'string',
+  out: 'string',
+  format: 'string',
+  maxZipSize: 'size',
+  incremental: 'boolean',
+  stateFile: 'string',
+  concurrency: 'count',
+  dryRun: 'boolean',
+  strict: 'boolean',
+  linkReport: 'string',
+  include: 'string[]',
+  exclude: 'string[]',
+  verbose: 'boolean',
+  quiet: 'boolean',
+  // Project settings (defaults in DEFAULT_PROJECT_SETTINGS)
+  excludedFolders: 'string[]',
+  attachmentFolders: 'string[]',
+  trashPatterns: 'string[]',
+  rootSetName: 'string',
+  noteEmbeds: ['inline', 'link'],
+  maxEmbedDepth: 'count',
+  typeMode: ['map', 'overwrite'],
+  typeMapping: 'string map',
+  propertyTypes: { '*': RELATION_FORMATS },
+  tagBadges: {
+    enabled: 'boolean',
+    textColor: 'string',
+    colors: 'string map',
+    style: 'string'
+  },
+  calloutIcons: 'string map',
+  syntax: {
+    highlights: ['bold', 'html', 'strip', 'keep'],
+    comments: ['strip', 'html', 'keep'],
+    math: ['code', 'keep'],
+    footnotes: ['footnote', 'inline', 'strip', 'keep'],
+    tasks: ['convert', 'keep']
   }
-  
-  // Check if it's a directory
-  const stats = fs.statSync(vaultPath);
-  if (!stats.isDirectory()) {
-    console.error(`Error: Vault path is not a directory: ${vaultPath}`);
-    process.exit(1);
+};
+
+/**
+ * Options of convert() and watch(): the config file keys that apply to a conversion,
+ * plus the ones only the library has (the CLI passes logLevel, tests and tools a sink)
+ */
+const LIBRARY_OPTIONS_SCHEMA = {
+  ...CONFIG_SCHEMA,
+  sink: 'object',
+  logLevel: Object.keys(LOG_LEVELS)
+};
+// Command-line only: the vault and output are parameters of their own, logging is logLevel
+for (const key of ['vault', 'out', 'linkReport', 'verbose', 'quiet']) {
+  delete LIBRARY_OPTIONS_SCHEMA[key];
+}
+
+/**
+ * Problems of the options passed to convert() or watch(), as a usage error (null when they are valid)
+ * Options left undefined count as not given
+ */
+function getOptionsError(options) {
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const problems = getConfigProblems(given, LIBRARY_OPTIONS_SCHEMA);
+  return problems.length > 0
+    ? createExitError(`Invalid options: ${problems.join('; ')}`, EXIT_CODES.USAGE)
+    : null;
+}
+
+/**
+ * Check one config value against its schema type
+ * @returns {boolean} True if the value has the expected type
+ */
+function isValidConfigValue(value, type) {
+  const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string' && item !== '');
+    case 'string map':
+      return isObject && Object.values(value).every(item => typeof item === 'string');
+    case 'count':
+      return Number.isInteger(value) && value >= 1;
+    case 'size':
+      return (typeof value === 'string' || typeof value === 'number') && parseSize(value) !== null;
+    default:
+      if (Array.isArray(type)) return type.includes(value);
+      return isObject;
+  }
+}
+
+/**
+ * Describe a schema type for error messages
+ */
+function describeConfigType(type) {
+  const descriptions = {
+    'string': 'a string',
+    'boolean': 'true or false',
+    'string[]': 'a list of strings',
+    'string map': 'an object with string values',
+    'size': 'a size like "500MB" or a number of bytes',
+    'count': 'a whole number of at least 1'
+  };
+  if (Array.isArray(type)) return `one of ${type.map(value => `"${value}"`).join(', ')}`;
+  return descriptions[type] || 'an object';
+}
+
+/**
+ * Collect the problems of a config object: unknown keys and values of the wrong type
+ * @param {object} config - Parsed config (or a nested object of it)
+ * @param {object} schema - CONFIG_SCHEMA or a nested part of it
+ * @param {string} prefix - Key path of the nested object ('tagBadges.')
+ * @returns {Array<string>} Problem descriptions
+ */
+function getConfigProblems(config, schema = CONFIG_SCHEMA, prefix = '') {
+  const problems = [];
+  for (const [key, value] of Object.entries(config)) {
+    const type = schema[key] !== undefined ? schema[key] : schema['*'];
+    
+    if (type === undefined) {
+      const suggestion = Object.keys(schema).find(known => known.toLowerCase() === key.toLowerCase());
+      problems.push(suggestion
+        ? `unknown key "${prefix}${key}" (did you mean "${prefix}${suggestion}"?)`
+        : `unknown key "${prefix}${key}" (allowed: ${Object.keys(schema).join(', ')})`);
+    } else if (typeof type === 'object' && !Array.isArray(type)) {
+      if (isValidConfigValue(value, 'object')) {
+        problems.push(...getConfigProblems(value, type, `${prefix}${key}.`));
+      } else {
+        problems.push(`"${prefix}${key}" must be an object`);
+      }
+    } else if (!isValidConfigValue(value, type)) {
+      problems.push(`"${prefix}${key}" must be ${describeConfigType(type)}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Read options from a JSON or YAML config file and validate them against CONFIG_SCHEMA
+ * Relative vault, out, linkReport and stateFile paths are resolved from the folder of the config file
+ * @throws {Error} If the file can't be read or parsed, or has unknown keys or invalid values
+ */
+function loadConfigFile(configPath) {
+  const isYaml = /\.ya?ml$/i.test(configPath);
+  let config;
+  try {
+    const text = fs.readFileSync(configPath, 'utf-8');
+    config = isYaml ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Could not read config file ${configPath}: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${configPath} must contain ${isYaml ? 'a YAML mapping' : 'a JSON object'}`);
   }
   
-  console.log(`Converting Obsidian vault: ${vaultPath}`);
-  console.log(`Output: ${outputPath}`);
-  console.log('---');
+  const problems = getConfigProblems(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid config file ${configPath}:\n  ${problems.join('\n  ')}`);
+  }
   
-  // Find all root-level folders
-  const rootFolders = [];
+  const configDir = path.dirname(path.resolve(configPath));
+  for (const key of ['vault', 'out', 'linkReport', 'stateFile']) {
+    if (config[key] !== undefined) {
+      config[key] = path.resolve(configDir, config[key]);
+    }
+  }
+  return config;
+}
+
+/**
+ * Find the config file in the vault folder (see CONFIG_FILE_NAMES)
+ * @returns {string|null} Path of the config file, or null if there is none
+ * @throws {Error} If there are several config files
+ */
+function findConfigFile(vaultDir) {
+  const found = CONFIG_FILE_NAMES
+    .map(name => path.join(vaultDir, name))
+    .filter(configPath => fs.existsSync(configPath));
+  if (found.length > 1) {
+    throw new Error(`Several config files found: ${found.join(', ')} (keep one, or choose with --config)`);
+  }
+  return found[0] || null;
+}
+
+/**
+ * Write the broken links of a run to a JSON file (--link-report)
+ * Note paths are relative to the vault
+ */
+function writeLinkReport(reportPath, result, vault) {
+  const report = {
+    vault: path.resolve(vault),
+    brokenLinks: result.brokenLinks.map(brokenLink => ({
+      ...brokenLink,
+      source: path.relative(vault, brokenLink.source).replace(/\\/g, '/')
+    }))
+  };
   try {
-    const entries = fs.readdirSync(vaultPath, { withFileTypes: true });
-    for (const entry of entries) {
-      if (entry.isDirectory()) {
-        const fullPath = path.join(vaultPath, entry.name);
-        
-        // Skip hidden directories and deleted folders
-        if (entry.name.startsWith('.') && entry.name !== '.') {
-          continue;
-        }
-        
-        if (isDeleted(fullPath, entry.name)) {
-          continue;
-        }
-        
-        // Skip attachments folders
-        const lowerName = entry.name.toLowerCase();
-        if (lowerName === 'attachments' || lowerName === 'attachment') {
-          continue;
-        }
-        
-        rootFolders.push({
-          name: entry.name,
-          path: fullPath
-        });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+    logInfo(`🔗 Link report: ${reportPath}`);
+  } catch (err) {
+    logError(`Could not write link report ${reportPath}: ${err.message}`);
+  }
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments without node and script path
+ */
+function main(argv) {
+  let options;
+  let configPath = null;
+  try {
+    const cliOptions = parseCliArgs(argv);
+    configPath = cliOptions.config || findConfigFile(cliOptions.vault || DEFAULT_VAULT_PATH);
+    options = configPath ? loadConfigFile(configPath) : {};
+    
+    // Command-line options win over the config file
+    for (const [key, value] of Object.entries(cliOptions)) {
+      if (!(Array.isArray(value) && value.length === 0)) {
+        options[key] = value;
       }
     }
+    if (cliOptions.verbose) {
+      options.quiet = false;
+    } else if (cliOptions.quiet) {
+      options.verbose = false;
+    }
   } catch (err) {
-    console.error(`Error reading vault directory:`, err.message);
-    process.exit(1);
+    logError(`Error: ${err.message}`);
+    logError('Run with --help for usage.');
+    process.exit(EXIT_CODES.USAGE);
   }
   
-  if (rootFolders.length === 0) {
-    console.log('No root folders found to export.');
+  if (options.help) {
+    console.log(getHelpText());
     return;
   }
-  
-  console.log(`Found ${rootFolders.length} root folder(s):`);
-  rootFolders.forEach((folder, index) => {
-    console.log(`  ${index + 1}. ${folder.name}`);
-  });
-  console.log('');
-  
-  // Debug: verify root folders array
-  if (rootFolders.length === 0) {
-    console.log('⚠️  No root folders found!');
+  if (options.version) {
+    console.log(require('./package.json').version);
     return;
   }
   
-  console.log(`📋 Root folders to include in root Set: ${rootFolders.map(f => f.name).join(', ')}`);
-  console.log('');
-  
-  // Create zip file
-  const output = createWriteStream(outputPath);
-  const zip = archiver('zip', {
-    zlib: { level: 9 } // Maximum compression
-  });
-  
-  // Handle zip events
-  output.on('close', () => {
-    const sizeInMB = (zip.pointer() / 1024 / 1024).toFixed(2);
-    console.log('---');
-    console.log(`✓ Conversion complete!`);
-    console.log(`  Total size: ${sizeInMB} MB`);
-    console.log(`  Output file: ${outputPath}`);
-  });
-  
-  zip.on('error', (err) => {
-    console.error('Zip error:', err);
-    process.exit(1);
-  });
-  
-  // Pipe archive data to the file
-  zip.pipe(output);
-  
-  // Create vault Set file containing all root folders with folder structure
-  const vaultSetContent = createVaultSetFile(rootFolders);
-  console.log(`📁 Creating vault Set with ${rootFolders.length} folder(s): ${rootFolders.map(f => f.name).join(', ')}`);
-  zip.append(vaultSetContent, { name: 'vault.set.md' });
-  console.log(`📁 Vault Set: vault.set.md`);
+  if (configPath && !options.quiet && !options.json) {
+    console.log(`Using config file: ${configPath}`);
+  }
   
-  // Create empty .md files for root folders that don't have markdown files
-  if (createVaultSetFile.foldersNeedingEmptyFiles) {
-    for (const folderInfo of createVaultSetFile.foldersNeedingEmptyFiles) {
-      const emptyFileContent = `---\ntype: SetLeaf\nset: vault\n---\n\n# ${folderInfo.name}\n\nThis is the root folder: **${folderInfo.name}**\n`;
-      zip.append(emptyFileContent, { name: folderInfo.emptyFilePath });
-      console.log(`  📄 Created empty file: ${folderInfo.emptyFilePath}`);
+  // Project settings come from the config file only
+  const projectSettings = {};
+  for (const key of Object.keys(DEFAULT_PROJECT_SETTINGS)) {
+    if (options[key] !== undefined) {
+      projectSettings[key] = options[key];
     }
   }
   
-  // Process each root folder (but don't create individual Set files for them)
-  for (const folder of rootFolders) {
-    const sanitizedFolderPath = sanitizePathForLink(folder.name);
-    console.log(`\n📦 Processing: ${folder.name}`);
-    processDirectory(folder.path, zip, sanitizedFolderPath, vaultPath);
+  const params = {
+    vault: options.vault || DEFAULT_VAULT_PATH,
+    output: options.out,
+    options: {
+      ...projectSettings,
+      format: options.format,
+      maxZipSize: options.maxZipSize,
+      incremental: options.incremental,
+      stateFile: options.stateFile,
+      concurrency: options.concurrency !== undefined ? Number(options.concurrency) : undefined,
+      dryRun: options.dryRun,
+      strict: options.strict,
+      include: options.include,
+      exclude: options.exclude,
+      // With --json, stdout only holds the JSON (warnings and errors still go to stderr)
+      logLevel: options.json ? 'warn' : (options.verbose ? 'debug' : (options.quiet ? 'warn' : 'info'))
+    }
+  };
+  
+  if (options.watch) {
+    return watchFromCli(params, options);
   }
   
-  // Process root-level attachment folders to ensure their files are included
+  return convert(params).then((result) => {
+    if (options.linkReport) {
+      writeLinkReport(options.linkReport, result, options.vault || DEFAULT_VAULT_PATH);
+    }
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    }
+    process.exitCode = result.failures.length > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.SUCCESS;
+  }, (err) => {
+    if (options.linkReport && err.result) {
+      writeLinkReport(options.linkReport, err.result, options.vault || DEFAULT_VAULT_PATH);
+    }
+    logError(`Error: ${err.message}`);
+    if (err.exitCode === EXIT_CODES.VAULT_MISSING) {
+      logError('Usage: node to_anytype.js [options] [vault_path] [output_path] (see --help)');
+    }
+    process.exitCode = err.exitCode || EXIT_CODES.ERROR;
+  });
+}
+
+/**
+ * --watch: export after each burst of changes and print a line per export
+ * Exports only show warnings and errors (everything with --verbose); stops on Ctrl+C
+ * @param {object} params - Parameters for convert
+ * @param {object} options - Command-line options
+ */
+function watchFromCli(params, options) {
+  const say = (message) => {
+    if (!options.quiet) {
+      console.log(`[${new Date().toLocaleTimeString()}] ${message}`);
+    }
+  };
+  
+  let watcher;
   try {
-    const entries = fs.readdirSync(vaultPath, { withFileTypes: true });
-    for (const entry of entries) {
-      if (entry.isDirectory()) {
-        const fullPath = path.join(vaultPath, entry.name);
-        const lowerName = entry.name.toLowerCase();
-        
-        // Process attachment folders (but skip from rootFolders list)
-        if (lowerName === 'attachments' || lowerName === 'attachment' || lowerName.startsWith('attachments_')) {
-          // Skip if deleted
-          if (isDeleted(fullPath, entry.name)) {
-            continue;
-          }
-          
-          // Process attachment folder to include all files
-          const sanitizedFolderPath = sanitizePathForLink(entry.name);
-          console.log(`\n📎 Processing attachments folder: ${entry.name}`);
-          processDirectory(fullPath, zip, sanitizedFolderPath, vaultPath);
+    watcher = watch({
+      ...params,
+      options: { ...params.options, logLevel: options.verbose ? 'debug' : 'warn' },
+      onResult(result, changedPaths) {
+        if (changedPaths.length > 0) {
+          const shown = changedPaths.slice(0, 5).join(', ');
+          say(`✏️  ${changedPaths.length} change(s): ${shown}${changedPaths.length > 5 ? `, ... (${changedPaths.length - 5} more)` : ''}`);
+        }
+        const changes = result.changes;
+        const written = changes.added.length + changes.changed.length;
+        const summary = `🔄 ${changes.added.length} new, ${changes.changed.length} changed, ${changes.removed.length} removed`;
+        if (written + changes.removed.length === 0) {
+          say('✓ No changes to export');
+        } else {
+          say(result.output ? `${summary} -> ${result.output}` : summary);
+        }
+        for (const name of changes.removed) {
+          say(`  🗑️  Removed: ${name}`);
+        }
+        if (result.brokenLinks.length > 0 || result.failures.length > 0) {
+          say(`⚠️  ${result.brokenLinks.length} broken link(s), ${result.failures.length} failed file(s)`);
         }
+      },
+      onError(err) {
+        logError(`Error: ${err.message}`);
       }
-    }
+    });
   } catch (err) {
-    console.error(`Error processing attachment folders:`, err.message);
+    logError(`Error: ${err.message}`);
+    process.exitCode = err.exitCode || EXIT_CODES.ERROR;
+    return;
   }
   
-  // No longer creating separate tag object files
-  // Tags are now added as a colorized tag property in page frontmatter
-  
-  // Finalize the archive
-  zip.finalize();
+  say(`👀 Watching ${params.vault} (Ctrl+C to stop)`);
+  process.once('SIGINT', () => {
+    watcher.close().then(() => {
+      say('Stopped watching');
+      process.exit(EXIT_CODES.SUCCESS);
+    });
+  });
 }
 
 // Run the conversion
 if (require.main === module) {
-  convertToAnytype();
+  main(process.argv.slice(2));
 }
 
-module.exports = { convertToAnytype, processMarkdownFile };
+// Only entry points that create their own run context are exported (the conversion steps
+// work on the context of the running conversion)
+module.exports = { convert, watch };
 